@@ -21,6 +21,21 @@ const execAsync = promisify(exec);
 // CONFIGURATION & CONSTANTS
 // ================================================================================
 
+// Built-in pricing in USD per million tokens, keyed by model id prefix
+// (cacheWrite = 5-minute cache write; 1-hour writes default to 2x input)
+// Override with --pricing <file.json>
+const MODEL_PRICING = {
+    'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+    'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+    'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+    'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+};
+
 const DEFAULT_OPTIONS = {
     showThinking: true,
     showToolCalls: true,
@@ -31,10 +46,74 @@ const DEFAULT_OPTIONS = {
     truncateTools: false,
     maxToolLength: 500,
     includeAgents: true,
-    // TODO: Implement different output formats (full, compact, minimal)
-    // outputFormat: 'full',
+    format: 'terminal',
+    color: 'auto',
+    verbose: false,
+    showBranches: true,
+    expandAgents: false,
+    rawTools: false,
+    groupTurns: true,
+    showUsage: true,
+    showCost: false,
+    pricing: MODEL_PRICING,
+    outputFormat: 'full', // 'full' | 'compact' | 'minimal'
+    onlyTypes: null, // Array of BLOCK_TYPES to show (--only)
+    toolFilter: null, // Array of tool names to show (--tool)
+    errorsOnly: false,
+    selection: null, // Line/turn selection from --lines, --around, --turn or --last (see CLI.parseSelection)
+    since: null, // Date: hide records before this time
+    until: null, // Date: hide records after this time
+    follow: false,
+    list: false,
+    json: false,
+    reindex: false,
+    apiRequest: false, // --api-json as a full Messages API request body
+    validate: false, // Report API rule violations instead of exporting
+    compareRequest: null, // Captured request body to compare the export with
+    exportFormat: 'anthropic', // --export: anthropic (--api-json), openai or sharegpt
+    thinkingField: null, // Field for thinking text in --export openai/sharegpt (default: dropped)
+    textField: 'text', // Field for text next to tool calls/results in --export sharegpt (--text-field)
+    repair: false, // Fix API rule violations in the export
+    systemPromptFile: null,
+    toolsFile: null,
+    maxTokens: null, // Default: API_REQUEST.maxTokens
+    thinkingBudget: null, // Default: enabled if the transcript has thinking blocks (0 disables)
+    leaf: null, // Show the branch ending in this record: uuid, uuid prefix or L<n> (--leaf)
+    allBranches: false, // Show every record in file order instead of one branch
+    showTree: false, // Print the branch structure instead of the transcript (--tree)
+    projectsDirs: null, // Project roots from --projects-dir (default: $CLAUDE_CONFIG_DIR/projects or ~/.claude/projects)
+    searchContext: 2,
+    ignoreCase: false,
 };
 
+// Rendering targets selectable with --format
+const OUTPUT_FORMATS = ['terminal', 'markdown', 'html'];
+
+// Record-level fields shown by --verbose, grouped into one display line each
+const VERBOSE_FIELD_GROUPS = [
+    ['uuid', 'parentUuid'],
+    ['requestId', 'isSidechain', 'isMeta', 'userType'],
+    ['version', 'gitBranch', 'cwd'],
+];
+
+// Hook fields shown by --verbose on system records
+const VERBOSE_HOOK_FIELDS = ['hookInfos', 'hookErrors', 'stopReason', 'preventedContinuation'];
+
+// Block types shown by the minimal output format (parse errors and unknown types are never hidden)
+const MINIMAL_BLOCK_TYPES = ['human', 'text', 'parse_error', 'unknown'];
+
+// Block types produced by MessageParser (accepted by --only)
+const BLOCK_TYPES = [
+    'human', 'text', 'thinking', 'tool_call', 'tool_result', 'system', 'summary',
+    'image', 'snapshot', 'queue_operation', 'unknown', 'parse_error',
+];
+
+// Block types that no block filter hides (Display Integrity principle)
+const ALWAYS_SHOWN_BLOCK_TYPES = ['parse_error', 'unknown'];
+
+// Color modes selectable with --color
+const COLOR_MODES = ['auto', 'always', 'never'];
+
 const EMOJI = {
     thinking: '🐱💭',
     claude: '🐱💬',
@@ -45,6 +124,17 @@ const EMOJI = {
     system: '💻',
     subAgent: '🤖',
     metadata: '📋',
+    turn: '🐱',
+    resume: '⏯️',
+    compaction: '🗜️',
+    clear: '🧹',
+    rewind: '⏪',
+    new_root: '🌱',
+    image: '🖼️',
+    snapshot: '📸',
+    queue: '📥',
+    unknown: '❓',
+    skipped: '⏭️',
 };
 
 const DISPLAY = {
@@ -53,6 +143,85 @@ const DISPLAY = {
     metadataSeparator: '═'.repeat(60),
 };
 
+// ANSI SGR codes as [open, close] pairs
+const ANSI = {
+    bold: [1, 22],
+    dim: [2, 22],
+    red: [31, 39],
+    green: [32, 39],
+    yellow: [33, 39],
+    blue: [34, 39],
+    magenta: [35, 39],
+    cyan: [36, 39],
+    grey: [90, 39],
+    inverse: [7, 27],
+};
+
+// Color roles used by the terminal formatter -> ANSI styles
+const COLOR_THEME = {
+    human: ['bold', 'blue'],
+    text: ['bold', 'magenta'],
+    thinking: ['dim'],
+    tool_call: ['bold', 'yellow'],
+    tool_result: ['bold', 'green'],
+    tool_error: ['bold', 'red'],
+    system: ['cyan'],
+    summary: ['bold', 'cyan'],
+    parse_error: ['bold', 'red'],
+    image: ['cyan'],
+    snapshot: ['cyan'],
+    queue_operation: ['cyan'],
+    unknown: ['bold', 'yellow'],
+    error: ['red'],
+    hidden: ['grey'],
+    separator: ['grey'],
+    suffix: ['grey'],
+    branch: ['bold', 'yellow'],
+    diff_add: ['green'],
+    diff_remove: ['red'],
+    heading: ['bold'],
+    match: ['bold', 'red'],
+    picker_cursor: ['inverse'],
+};
+
+// Banner titles for BranchDetector event kinds
+const BRANCH_TITLES = {
+    resume: 'Session resumed',
+    compaction: 'Compaction',
+    clear: 'Clear',
+    rewind: 'Rewind',
+    new_root: 'New conversation',
+};
+
+// --follow polling
+const FOLLOW = {
+    pollInterval: 500,       // ms between checks for appended data
+    switchCheckInterval: 2000, // ms between checks for a newer session (with --latest)
+    chunkSize: 1024 * 1024,  // bytes read per step (large files are caught up in chunks)
+};
+
+// On-disk session index (see SessionIndex; --reindex rebuilds it)
+const SESSION_INDEX = {
+    version: 1,              // Bump when the entry layout changes (older index files are discarded)
+    dirName: 'cc-view-transcript', // Folder under $XDG_CACHE_HOME (default ~/.cache)
+    fileName: 'index.json',
+    scanConcurrency: 16,     // Session files stat'ed or read at once during scans
+};
+
+// Full Messages API request bodies (--api-request)
+const API_REQUEST = {
+    maxTokens: 32000,        // Claude Code's default output limit
+    minThinkingBudget: 1024, // API minimum for budget_tokens
+    thinkingShare: 0.5,      // Default budget_tokens as a share of max_tokens (the rest is left for the reply)
+    // Server tools seen as server_tool_use blocks -> their definition
+    serverTools: {
+        web_search: { type: 'web_search_20250305', name: 'web_search' },
+    },
+};
+
+// --export formats (anthropic is --api-json)
+const EXPORT_FORMATS = ['anthropic', 'openai', 'sharegpt'];
+
 // Resolution result types for SessionResolver
 const RESOLVE_TYPE = {
     FILE: 'file',           // Direct file path
@@ -63,7 +232,7 @@ const RESOLVE_TYPE = {
 };
 
 // ================================================================================
-// TIME FORMATTING UTILITIES
+// TIME FORMATTING & PARSING UTILITIES
 // ================================================================================
 
 /**
@@ -127,6 +296,366 @@ function formatLocalShort(input) {
     return `${year}-${month}-${day} ${hour}:${min} ${sign}${offsetHours}:${offsetMins}`;
 }
 
+/**
+ * Format a duration compactly (for listings)
+ * Examples: 45s, 12m, 1h 05m, 2d 3h
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Formatted duration ('-' if unknown)
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined || isNaN(ms) || ms < 0) {
+        return '-';
+    }
+
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Relative time units accepted by --since/--until (e.g. "2h", "30m", "3d")
+const RELATIVE_TIME_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a --since/--until value into a Date
+ * Accepts relative values ("2h", "30m", "3d", "1w"), "now", "today", "yesterday",
+ * local dates ("2025-12-29"), local datetimes ("2025-12-29 10:30", "2025-12-29T10:30:45"),
+ * ISO timestamps with offset ("2025-12-29T09:30:45Z") and formatLocalIso() output
+ * ("2025-12-29T10:30:45 +01:00") so timestamps can be copied from the viewer.
+ * Values mean the start of the unit they name, or its end when used as an upper bound:
+ * "2025-12-29" ends at 23:59:59.999, "2025-12-29 14:00" at 14:00:59.999, "14:00:30" at 14:00:30.999.
+ * @param {string} value - Time specification
+ * @param {boolean} isUpperBound - True for --until (values extend to the end of their day, minute or second)
+ * @param {Date} now - Reference time for relative values (default: current time)
+ * @returns {Date} Parsed point in time
+ * @throws {Error} If the value is not recognized
+ */
+function parseTimeSpec(value, isUpperBound = false, now = new Date()) {
+    const input = String(value).trim().toLowerCase();
+
+    // Start of a local day, or the last millisecond of it for upper bounds
+    const dayBoundary = (year, month, day) => isUpperBound
+        ? new Date(new Date(year, month, day + 1).getTime() - 1)
+        : new Date(year, month, day);
+    // Same for a minute or second (unit length in ms)
+    const unitBoundary = (date, unit) => (isUpperBound ? new Date(date.getTime() + unit - 1) : date);
+
+    const relative = input.match(/^(\d+)\s*(s|m|min|h|d|w)$/);
+    if (relative) {
+        return new Date(now.getTime() - Number(relative[1]) * RELATIVE_TIME_UNITS[relative[2]]);
+    }
+
+    switch (input) {
+        case 'now':
+            return new Date(now.getTime());
+        case 'today':
+            return dayBoundary(now.getFullYear(), now.getMonth(), now.getDate());
+        case 'yesterday':
+            return dayBoundary(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    }
+
+    const localDate = input.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (localDate) {
+        return dayBoundary(Number(localDate[1]), Number(localDate[2]) - 1, Number(localDate[3]));
+    }
+
+    // Local datetime without offset (Date.parse treats these inconsistently, so build it explicitly)
+    const localDateTime = input.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (localDateTime) {
+        const [, year, month, day, hour, min, sec] = localDateTime.map(Number);
+        return unitBoundary(new Date(year, month - 1, day, hour, min, sec || 0),
+            localDateTime[6] === undefined ? RELATIVE_TIME_UNITS.m : RELATIVE_TIME_UNITS.s);
+    }
+
+    // ISO with offset or Z; formatLocalIso() puts a space before the offset
+    const withOffset = input.replace(/^(\d{4}-\d{2}-\d{2}t[\d:.]+) ([+-]\d{2}:\d{2})$/, '$1$2');
+    const isoTime = withOffset.match(/^\d{4}-\d{2}-\d{2}t([\d:.]+)(z|[+-]\d{2}:\d{2})$/);
+    if (isoTime) {
+        const date = new Date(withOffset.toUpperCase());
+        if (!isNaN(date.getTime())) {
+            // Fractional seconds are exact; "hh:mm" and "hh:mm:ss" name a whole minute or second
+            if (isoTime[1].includes('.')) {
+                return date;
+            }
+            return unitBoundary(date, isoTime[1].split(':').length === 2 ? RELATIVE_TIME_UNITS.m : RELATIVE_TIME_UNITS.s);
+        }
+    }
+
+    throw new Error(`Unrecognized time "${value}"`);
+}
+
+/**
+ * Check whether a timestamp falls inside a --since/--until range
+ * @param {Date|string|number} timestamp - Record timestamp
+ * @param {Object} range - Range {since, until} (Date or null each, both inclusive)
+ * @returns {boolean} True if inside the range (records without a valid timestamp are outside)
+ */
+function isInTimeRange(timestamp, range) {
+    const time = new Date(timestamp).getTime();
+    if (timestamp === undefined || timestamp === null || isNaN(time)) {
+        return false;
+    }
+    return (!range.since || time >= range.since.getTime()) &&
+        (!range.until || time <= range.until.getTime());
+}
+
+// ================================================================================
+// ASYNC UTILITIES
+// ================================================================================
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Keeps scans over thousands of files fast without running out of file descriptors
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+// ================================================================================
+// COLOR THEME
+// ================================================================================
+
+/**
+ * Applies COLOR_THEME styles to terminal output.
+ * A disabled theme returns text unchanged, so callers never need to branch on color.
+ */
+class ColorTheme {
+    /**
+     * @param {boolean} enabled - Whether to emit ANSI escape codes
+     */
+    constructor(enabled = false) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Decide whether color should be used for a color mode
+     * auto: on for a TTY, off when piped or when NO_COLOR is set (https://no-color.org)
+     * @param {string} mode - 'auto', 'always' or 'never'
+     * @param {Object} stream - Output stream to check for TTY (default: stdout)
+     * @returns {boolean} True if color should be used
+     */
+    static isEnabled(mode = 'auto', stream = process.stdout) {
+        switch (mode) {
+            case 'always':
+                return true;
+            case 'never':
+                return false;
+            default:
+                if (process.env.NO_COLOR) {
+                    return false;
+                }
+                return !!stream.isTTY;
+        }
+    }
+
+    /**
+     * Style text with the ANSI codes for a theme role
+     * Multi-line text is styled per line so pagers (less -R) don't lose state
+     * @param {string} role - Key of COLOR_THEME
+     * @param {string} text - Text to style
+     * @returns {string} Styled text (unchanged when disabled or role unknown)
+     */
+    paint(role, text) {
+        const styles = COLOR_THEME[role];
+        if (!this.enabled || !styles || !text) {
+            return text;
+        }
+
+        const open = styles.map(style => `\x1b[${ANSI[style][0]}m`).join('');
+        const close = styles.map(style => `\x1b[${ANSI[style][1]}m`).reverse().join('');
+        return String(text)
+            .split('\n')
+            .map(line => (line ? `${open}${line}${close}` : line))
+            .join('\n');
+    }
+}
+
+// ================================================================================
+// TOKEN USAGE
+// ================================================================================
+
+/**
+ * Token usage accounting and cost estimates from assistant `message.usage`.
+ * Usage objects are normalized to {input, output, cacheWrite, cacheWrite1h, cacheRead}.
+ */
+class TokenUsage {
+    /**
+     * Create an empty usage object
+     * @returns {Object} Usage with all counters at zero
+     */
+    static empty() {
+        return { input: 0, output: 0, cacheWrite: 0, cacheWrite1h: 0, cacheRead: 0 };
+    }
+
+    /**
+     * Normalize the API usage object of an assistant record
+     * 1-hour cache writes are counted separately because they are priced higher
+     * @param {Object} message - Parsed assistant record
+     * @returns {Object|null} Normalized usage or null if the record has none
+     */
+    static fromMessage(message) {
+        const usage = message.message?.usage;
+        if (!usage) {
+            return null;
+        }
+
+        const cacheCreation = usage.cache_creation_input_tokens || 0;
+        const cacheWrite1h = usage.cache_creation?.ephemeral_1h_input_tokens || 0;
+        return {
+            input: usage.input_tokens || 0,
+            output: usage.output_tokens || 0,
+            cacheWrite: cacheCreation - cacheWrite1h,
+            cacheWrite1h,
+            cacheRead: usage.cache_read_input_tokens || 0,
+        };
+    }
+
+    /**
+     * Add two usage objects
+     * @param {Object} a - Usage
+     * @param {Object} b - Usage
+     * @returns {Object} New usage with summed counters
+     */
+    static add(a, b) {
+        const sum = TokenUsage.empty();
+        for (const key of Object.keys(sum)) {
+            sum[key] = (a[key] || 0) + (b[key] || 0);
+        }
+        return sum;
+    }
+
+    /**
+     * Find the pricing entry for a model id by longest matching prefix
+     * (e.g. "claude-opus-4-5-20251101" -> "claude-opus-4-5")
+     * @param {string} model - Model id from the transcript
+     * @param {Object} pricing - Pricing table (model prefix -> per-MTok prices)
+     * @returns {Object|null} Pricing entry or null if unknown
+     */
+    static findPricing(model, pricing = MODEL_PRICING) {
+        if (!model) {
+            return null;
+        }
+        const prefix = Object.keys(pricing)
+            .filter(key => model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? pricing[prefix] : null;
+    }
+
+    /**
+     * Estimate the cost of a usage object in USD
+     * @param {string} model - Model id
+     * @param {Object} usage - Normalized usage
+     * @param {Object} pricing - Pricing table (default: built-in MODEL_PRICING)
+     * @returns {number|null} Cost in USD or null if the model has no pricing
+     */
+    static estimateCost(model, usage, pricing = MODEL_PRICING) {
+        const price = TokenUsage.findPricing(model, pricing);
+        if (!price) {
+            return null;
+        }
+
+        // 1-hour cache writes cost twice the base input price
+        const cacheWrite1hPrice = price.cacheWrite1h ?? price.input * 2;
+        return (
+            usage.input * price.input +
+            usage.output * price.output +
+            usage.cacheWrite * price.cacheWrite +
+            usage.cacheWrite1h * cacheWrite1hPrice +
+            usage.cacheRead * price.cacheRead
+        ) / 1e6;
+    }
+
+    /**
+     * Format a token count with thousands separators
+     * @param {number} count - Token count
+     * @returns {string} Formatted count
+     */
+    static formatCount(count) {
+        return count.toLocaleString('en-US');
+    }
+
+    /**
+     * Format a usage object on one line
+     * @param {Object} usage - Normalized usage
+     * @returns {string} E.g. "in 9 · out 395 · cache write 54,434 · cache read 0"
+     */
+    static format(usage) {
+        const f = TokenUsage.formatCount;
+        return `in ${f(usage.input)} · out ${f(usage.output)} · ` +
+            `cache write ${f(usage.cacheWrite + usage.cacheWrite1h)} · cache read ${f(usage.cacheRead)}`;
+    }
+
+    /**
+     * Format a cost in USD
+     * @param {number|null} cost - Cost in USD
+     * @returns {string} E.g. "$0.3412" or "n/a" when unknown
+     */
+    static formatCost(cost) {
+        if (cost === null) {
+            return 'n/a';
+        }
+        return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    }
+
+    /**
+     * Load a pricing override file and merge it over the built-in table
+     * File format: {"<model-prefix>": {"input": 3, "output": 15, "cacheWrite": 3.75, "cacheRead": 0.3}}
+     * @param {string} filePath - Path to JSON pricing file
+     * @returns {Promise<Object>} Merged pricing table
+     * @throws {Error} If the file cannot be read or is not valid pricing JSON
+     */
+    static async loadPricing(filePath) {
+        const overrides = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('Pricing file must contain a JSON object keyed by model prefix');
+        }
+
+        const pricing = { ...MODEL_PRICING };
+        for (const [model, price] of Object.entries(overrides)) {
+            for (const field of ['input', 'output', 'cacheWrite', 'cacheRead']) {
+                if (typeof price?.[field] !== 'number') {
+                    throw new Error(`Pricing for "${model}" is missing numeric "${field}"`);
+                }
+            }
+            pricing[model] = price;
+        }
+        return pricing;
+    }
+}
+
 // ================================================================================
 // MESSAGE PARSER
 // ================================================================================
@@ -226,29 +755,70 @@ class MessageParser {
      * @returns {Array<Object>} Array of content blocks with type, text, emoji, and metadata
      */
     static extractContent(message) {
-        const content = [];
+        let content = [];
 
         // Default case handles null/undefined
         switch (message.type) {
             case 'assistant':
-                return this.extractAssistantContent(message);
+                content = this.extractAssistantContent(message);
+                break;
             case 'user':
-                return this.extractUserContent(message);
+                content = this.extractUserContent(message);
+                break;
             case 'system':
-                return this.extractSystemContent(message);
+                content = this.extractSystemContent(message);
+                break;
             case 'summary':
-                return this.extractSummaryContent(message);
+                content = this.extractSummaryContent(message);
+                break;
             case 'parse_error':
-                return this.extractParseErrorContent(message);
+                content = this.extractParseErrorContent(message);
+                break;
+            case 'file-history-snapshot':
+                content = this.extractSnapshotContent(message);
+                break;
+            case 'queue-operation':
+                content = this.extractQueueOperationContent(message);
+                break;
             default:
-                return content;
+                // New record types must never disappear without notice (Display Integrity principle)
+                content = [MessageParser.createUnknownBlock('record', message.type, message)];
+                break;
+        }
+
+        // Keep record-level fields with each block (shown by --verbose)
+        const record = this.extractRecordDetails(message);
+        for (const block of content) {
+            block.record = record;
+        }
+
+        return content;
+    }
+
+    /**
+     * Extract record-level fields that aren't part of the content blocks
+     * @param {Object} message - Parsed message object
+     * @returns {Object} Present fields from VERBOSE_FIELD_GROUPS (plus hook fields for system records)
+     */
+    static extractRecordDetails(message) {
+        const fields = VERBOSE_FIELD_GROUPS.flat();
+        if (message.type === 'system') {
+            fields.push(...VERBOSE_HOOK_FIELDS);
+        }
+
+        const record = {};
+        for (const field of fields) {
+            if (message[field] !== undefined) {
+                record[field] = message[field];
+            }
         }
+        return record;
     }
 
     /**
      * Extract content from assistant message
-     * @param {Object} message - Assistant message with thinking, text, and tool_use blocks
-     * @returns {Array<Object>} Array of content blocks (thinking, text, tool_call)
+     * @param {Object} message - Assistant message with thinking, text, tool_use and server tool blocks
+     * @returns {Array<Object>} Array of content blocks (thinking, text, tool_call, tool_result, image, unknown)
      */
     static extractAssistantContent(message) {
         const content = [];
@@ -263,6 +833,15 @@ class MessageParser {
                         emoji: EMOJI.thinking,
                     });
                     break;
+                case 'redacted_thinking':
+                    // Encrypted by the API; only the size is meaningful
+                    content.push({
+                        type: 'thinking',
+                        text: `[Redacted thinking: ${(block.data || '').length} chars of encrypted data]`,
+                        isRedacted: true,
+                        emoji: EMOJI.thinking,
+                    });
+                    break;
                 case 'text':
                     content.push({
                         type: 'text',
@@ -277,21 +856,114 @@ class MessageParser {
                         id: block.id,
                         input: block.input,
                         emoji: EMOJI.toolCall,
-                        // TODO: Implement sub-agent transcript parsing
-                        // Need to recursively parse tool results that contain nested transcripts
+                        // Sub-agent transcripts are rendered inline by TranscriptProcessor (--expand-agents)
                         isSubAgent: MessageParser.isSubAgent(block.name),
                     });
                     break;
+                case 'server_tool_use':
+                    // Tools executed by the API (web search, web fetch, ...)
+                    content.push({
+                        type: 'tool_call',
+                        name: block.name,
+                        id: block.id,
+                        input: block.input,
+                        emoji: EMOJI.toolCall,
+                        isServerTool: true,
+                        isSubAgent: false,
+                    });
+                    break;
+                case 'image':
+                    content.push(MessageParser.extractImageBlock(block));
+                    break;
+                default:
+                    if (block.type?.endsWith('_tool_result') && block.tool_use_id) {
+                        content.push(MessageParser.extractServerToolResult(block));
+                    } else {
+                        content.push(MessageParser.createUnknownBlock('block', block.type, block));
+                    }
+                    break;
             }
         }
 
         return content;
     }
 
+    /**
+     * Extract the result of a server tool (web_search_tool_result, web_fetch_tool_result, ...)
+     * These arrive inside the assistant message rather than as a user tool_result
+     * @param {Object} block - Server tool result block with tool_use_id and content
+     * @returns {Object} tool_result content block
+     */
+    static extractServerToolResult(block) {
+        const result = block.content;
+        const isError = !!(result?.error_code || result?.type?.endsWith('_error'));
+
+        let text;
+        if (Array.isArray(result) && result.every(item => item?.url)) {
+            // Search hits: one "title\n  url" entry per result
+            text = result.map((item, i) => `${i + 1}. ${item.title || '(untitled)'}\n   ${item.url}`).join('\n');
+        } else if (isError) {
+            text = `Error: ${result.error_code || 'unknown'}`;
+        } else {
+            text = JSON.stringify(result, null, 2);
+        }
+
+        return {
+            type: 'tool_result',
+            id: block.tool_use_id,
+            text,
+            isError,
+            isServerTool: true,
+            hasMultipleBlocks: false,
+            hasNonTextBlocks: false,
+            emoji: isError ? EMOJI.toolError : EMOJI.toolResult,
+        };
+    }
+
+    /**
+     * Describe an image block (the image data itself is never printed)
+     * @param {Object} block - Image content block with source
+     * @returns {Object} image content block
+     */
+    static extractImageBlock(block) {
+        const source = block.source || {};
+        const details = [source.media_type, source.type].filter(Boolean);
+        if (source.type === 'base64' && source.data) {
+            // 4 base64 characters encode 3 bytes
+            details.push(SessionResolver.formatSize(Math.floor(source.data.length * 3 / 4)));
+        } else if (source.url) {
+            details.push(source.url);
+        }
+
+        return {
+            type: 'image',
+            text: `[Image: ${details.join(', ') || 'unknown source'}]`,
+            emoji: EMOJI.image,
+        };
+    }
+
+    /**
+     * Create a placeholder for a record or content block type this tool doesn't know
+     * The raw JSON is kept so nothing is hidden from the reader
+     * @param {string} kind - 'record' or 'block'
+     * @param {string|undefined} type - The unrecognized type value
+     * @param {Object} raw - The raw record or block
+     * @returns {Object} unknown content block
+     */
+    static createUnknownBlock(kind, type, raw) {
+        return {
+            type: 'unknown',
+            kind,
+            unknownType: type || '(missing type)',
+            text: JSON.stringify(raw, null, 2),
+            emoji: EMOJI.unknown,
+        };
+    }
+
     /**
      * Extract content from user message
      * @param {Object} message - User message with text and/or tool_result blocks
-     * @returns {Array<Object>} Array of content blocks (human text, tool_result)
+     * @returns {Array<Object>} Array of content blocks (human text, tool_result, image, unknown)
      */
     static extractUserContent(message) {
         const content = [];
@@ -304,6 +976,8 @@ class MessageParser {
                 emoji: EMOJI.human,
             });
         } else if (Array.isArray(messageContent)) {
+            const resultCount = messageContent.filter(block => block.type === 'tool_result').length;
+
             for (const block of messageContent) {
                 if (block.type === 'tool_result') {
                     const isError = !!(message.toolUseResult?.is_error || block.is_error);
@@ -319,6 +993,9 @@ class MessageParser {
                         isError,
                         hasMultipleBlocks,
                         hasNonTextBlocks,
+                        // Structured result payload (stdout/stderr, structuredPatch, ...)
+                        // It is per record, so only trust it when the record has a single result
+                        toolUseResult: resultCount === 1 ? message.toolUseResult : undefined,
                         emoji: isError ? EMOJI.toolError : EMOJI.toolResult,
                     });
                 } else if (block.type === 'text') {
@@ -327,6 +1004,10 @@ class MessageParser {
                         text: block.text,
                         emoji: EMOJI.human,
                     });
+                } else if (block.type === 'image') {
+                    content.push(MessageParser.extractImageBlock(block));
+                } else {
+                    content.push(MessageParser.createUnknownBlock('block', block.type, block));
                 }
             }
         }
@@ -361,6 +1042,42 @@ class MessageParser {
         }];
     }
 
+    /**
+     * Extract content from a file-history-snapshot record (checkpoint of files edited so far)
+     * @param {Object} message - Snapshot record with snapshot.trackedFileBackups
+     * @returns {Array<Object>} Single-element array with snapshot content block
+     */
+    static extractSnapshotContent(message) {
+        const backups = message.snapshot?.trackedFileBackups || {};
+        const files = Object.entries(backups).map(([file, backup]) =>
+            backup?.version !== undefined ? `${file} (v${backup.version})` : file
+        );
+        const header = `${message.isSnapshotUpdate ? 'Updated' : 'New'} snapshot for message ${message.messageId || 'unknown'}: ` +
+            `${files.length} tracked file${files.length === 1 ? '' : 's'}`;
+
+        return [{
+            type: 'snapshot',
+            text: [header, ...files.map(file => `  ${file}`)].join('\n'),
+            emoji: EMOJI.snapshot,
+        }];
+    }
+
+    /**
+     * Extract content from a queue-operation record (messages typed while Claude was busy)
+     * @param {Object} message - Queue record with operation and optional content
+     * @returns {Array<Object>} Single-element array with queue content block
+     */
+    static extractQueueOperationContent(message) {
+        return [{
+            type: 'queue_operation',
+            operation: message.operation || 'unknown',
+            text: message.content === undefined || typeof message.content === 'string'
+                ? message.content || ''
+                : JSON.stringify(message.content),
+            emoji: EMOJI.queue,
+        }];
+    }
+
     /**
      * Extract content from parse error
      * @param {Object} message - Parse error object with lineNumber, error, and preview
@@ -378,40 +1095,269 @@ class MessageParser {
 }
 
 // ================================================================================
-// MESSAGE FORMATTER
+// TOOL RENDERERS
 // ================================================================================
 
-class MessageFormatter {
-    constructor(options = {}) {
-        this.options = { ...DEFAULT_OPTIONS, ...options };
-        this.separator = DISPLAY.blockSeparator;
-        // Track tool calls to match them with results
-        // Maps tool_use_id -> tool_name
-        this.toolCallMap = new Map();
+/**
+ * Tool-aware rendering of tool inputs and structured results (toolUseResult).
+ * Renderers return sections {label, text, language} that each output format lays
+ * out its own way; null means "no renderer" and the caller falls back to raw JSON.
+ */
+class ToolRenderer {
+    /**
+     * Render a tool input
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input object
+     * @returns {Array<Object>|null} Sections {label, text, language} or null for the generic fallback
+     */
+    static renderInput(name, input) {
+        if (!input || typeof input !== 'object') {
+            return null;
+        }
+
+        try {
+            switch (name) {
+                case 'Edit':
+                    return ToolRenderer.renderEditInput(input);
+                case 'MultiEdit':
+                    return ToolRenderer.renderMultiEditInput(input);
+                case 'Write':
+                    return ToolRenderer.renderWriteInput(input);
+                case 'Bash':
+                    return ToolRenderer.renderBashInput(input);
+                case 'Read':
+                    return ToolRenderer.renderReadInput(input);
+                case 'TodoWrite':
+                    return ToolRenderer.renderTodoWriteInput(input);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            // Unexpected input shape - fall back to raw JSON rather than hide anything
+            return null;
+        }
     }
 
     /**
-     * Format a parsed message for display
-     * @param {Object} message - Parsed message object
-     * @param {number|null} lineNumber - Line number in JSONL file (for L-prefix display)
-     * @returns {string} Formatted message as string with headers, content, and separators
+     * Render a structured tool result
+     * Error results always use the generic fallback so the error text is shown verbatim.
+     * @param {string} name - Tool name
+     * @param {Object} block - tool_result block (with toolUseResult)
+     * @returns {Array<Object>|null} Sections {label, text, language} or null for the generic fallback
      */
-    format(message, lineNumber = null) {
-        // Track tool calls from assistant messages before formatting
-        if (message.type === 'assistant') {
-            const messageContent = message.message?.content || [];
-            for (const block of messageContent) {
-                if (block.type === 'tool_use') {
-                    // Store mapping: tool_use_id -> tool_name
-                    this.toolCallMap.set(block.id, block.name);
-                }
-            }
+    static renderResult(name, block) {
+        const result = block.toolUseResult;
+        if (block.isError || !result || typeof result !== 'object') {
+            return null;
         }
 
-        const content = MessageParser.extractContent(message);
+        try {
+            switch (name) {
+                case 'Bash':
+                    return ToolRenderer.renderBashResult(result);
+                case 'Edit':
+                case 'MultiEdit':
+                case 'Write':
+                    return ToolRenderer.renderPatchResult(result);
+                case 'Read':
+                    return ToolRenderer.renderReadResult(result);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build a unified diff body from an old/new string pair
+     * @param {string} oldString - Replaced text
+     * @param {string} newString - Replacement text
+     * @returns {string} Diff lines prefixed with '-' and '+'
+     */
+    static diffStrings(oldString = '', newString = '') {
+        const removed = oldString === '' ? [] : oldString.split('\n').map(line => `-${line}`);
+        const added = newString === '' ? [] : newString.split('\n').map(line => `+${line}`);
+        return [...removed, ...added].join('\n');
+    }
+
+    /**
+     * Number the lines of a text like `cat -n`
+     * @param {string} text - Text to number
+     * @param {number} startLine - Number of the first line (default: 1)
+     * @returns {string} Numbered text
+     */
+    static numberLines(text, startLine = 1) {
+        const lines = String(text).replace(/\n$/, '').split('\n');
+        const width = String(startLine + lines.length - 1).length;
+        return lines.map((line, i) => `${String(startLine + i).padStart(width)} │ ${line}`).join('\n');
+    }
+
+    static renderEditInput(input) {
+        const flags = input.replace_all ? ' (replace all)' : '';
+        return [{
+            label: `File: ${input.file_path}${flags}`,
+            text: `--- old\n+++ new\n${ToolRenderer.diffStrings(input.old_string, input.new_string)}`,
+            language: 'diff',
+        }];
+    }
+
+    static renderMultiEditInput(input) {
+        const hunks = (input.edits || []).map((edit, i) => {
+            const flags = edit.replace_all ? ' (replace all)' : '';
+            return `@@ edit ${i + 1}${flags} @@\n${ToolRenderer.diffStrings(edit.old_string, edit.new_string)}`;
+        });
+        return [{
+            label: `File: ${input.file_path} (${hunks.length} edits)`,
+            text: `--- old\n+++ new\n${hunks.join('\n')}`,
+            language: 'diff',
+        }];
+    }
+
+    static renderWriteInput(input) {
+        const content = input.content ?? '';
+        const lineCount = content === '' ? 0 : content.replace(/\n$/, '').split('\n').length;
+        return [{
+            label: `File: ${input.file_path} (${lineCount} lines)`,
+            text: content === '' ? '(empty file)' : ToolRenderer.numberLines(content),
+            language: 'text',
+        }];
+    }
+
+    static renderBashInput(input) {
+        const lines = [];
+        if (input.description) {
+            lines.push(`# ${input.description}`);
+        }
+        lines.push(`$ ${input.command}`);
+
+        const flags = [];
+        if (input.timeout) flags.push(`timeout: ${input.timeout}ms`);
+        if (input.run_in_background) flags.push('background');
+        if (input.dangerouslyDisableSandbox) flags.push('sandbox disabled');
+
+        return [{
+            label: flags.length ? `Options: ${flags.join(', ')}` : null,
+            text: lines.join('\n'),
+            language: 'console',
+        }];
+    }
+
+    static renderReadInput(input) {
+        let range = 'entire file';
+        if (input.offset || input.limit) {
+            const start = input.offset || 1;
+            range = input.limit ? `lines ${start}–${start + input.limit - 1}` : `from line ${start}`;
+        }
+        if (input.pages) {
+            range = `pages ${input.pages}`;
+        }
+        return [{ label: `File: ${input.file_path} (${range})`, text: null, language: null }];
+    }
+
+    static renderTodoWriteInput(input) {
+        const marks = { completed: '[x]', in_progress: '[~]', pending: '[ ]' };
+        const todos = input.todos || [];
+        const text = todos
+            .map(todo => `${marks[todo.status] || `[${todo.status}]`} ${todo.content}`)
+            .join('\n');
+        return [{ label: `${todos.length} todos`, text: text || '(empty list)', language: 'text' }];
+    }
+
+    static renderBashResult(result) {
+        if (result.stdout === undefined && result.stderr === undefined) {
+            return null;
+        }
+
+        const sections = [];
+        const status = [];
+        if (result.exitCode !== undefined) status.push(`Exit code: ${result.exitCode}`);
+        if (result.interrupted) status.push('Interrupted');
+        if (result.returnCodeInterpretation) status.push(result.returnCodeInterpretation);
+        if (result.backgroundTaskId) status.push(`Background task: ${result.backgroundTaskId}`);
+        if (status.length) {
+            sections.push({ label: status.join(' · '), text: null, language: null });
+        }
+
+        sections.push({ label: 'stdout:', text: result.stdout || '(empty)', language: 'text' });
+        if (result.stderr) {
+            sections.push({ label: 'stderr:', text: result.stderr, language: 'text' });
+        }
+        return sections;
+    }
+
+    static renderPatchResult(result) {
+        const patch = result.structuredPatch;
+        if (result.type === 'create') {
+            return [{ label: `Created ${result.filePath}`, text: null, language: null }];
+        }
+        if (!Array.isArray(patch)) {
+            return null;
+        }
+
+        const hunks = patch.map(hunk =>
+            `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@\n${hunk.lines.join('\n')}`
+        );
+        return [{
+            label: `Patched ${result.filePath}`,
+            text: hunks.length ? `--- a${result.filePath}\n+++ b${result.filePath}\n${hunks.join('\n')}` : '(no changes)',
+            language: 'diff',
+        }];
+    }
+
+    static renderReadResult(result) {
+        const file = result.file;
+        if (!file || file.content === undefined) {
+            return null;
+        }
+
+        const start = file.startLine || 1;
+        const end = start + (file.numLines || 0) - 1;
+        return [{
+            label: `Read ${file.filePath}: lines ${start}–${end} of ${file.totalLines ?? '?'}`,
+            text: ToolRenderer.numberLines(file.content, start),
+            language: 'text',
+        }];
+    }
+}
+
+// ================================================================================
+// MESSAGE FORMATTER
+// ================================================================================
+
+class MessageFormatter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.separator = DISPLAY.blockSeparator;
+        // True while formatting the records of a grouped assistant turn
+        this.inTurn = false;
+        this.theme = new ColorTheme(this.options.format === 'terminal' && ColorTheme.isEnabled(this.options.color));
+        // Track tool calls to match them with results
+        // Maps tool_use_id -> tool_name
+        this.toolCallMap = new Map();
+        // tool_use_ids whose result is an error (for --errors-only, filled before formatting)
+        this.failedToolIds = new Set();
+    }
+
+    /**
+     * Format a parsed message for display
+     * @param {Object} message - Parsed message object
+     * @param {number|null} lineNumber - Line number in JSONL file (for L-prefix display)
+     * @returns {string} Formatted message as string with headers, content, and separators
+     */
+    format(message, lineNumber = null) {
+        // Track tool calls from assistant messages before formatting
+        this.trackToolCalls(message);
+
+        const content = MessageParser.extractContent(message);
         const output = [];
 
         for (const block of content) {
+            // Minimal format shows only the human/Claude dialogue (no indicators)
+            if (this.options.outputFormat === 'minimal' && !MINIMAL_BLOCK_TYPES.includes(block.type)) {
+                continue;
+            }
+
             // Check if content should be displayed in full or as indicator
             if (!this.shouldDisplay(block)) {
                 // Show one-line indicator for filtered content (Display Integrity principle)
@@ -431,7 +1377,192 @@ class MessageFormatter {
         return output.join('\n');
     }
 
+    /**
+     * Remember tool names of a record's tool calls (tool_use_id -> name)
+     * Also called for records that aren't displayed, so later results still get their tool name
+     * @param {Object} message - Parsed message object
+     */
+    trackToolCalls(message) {
+        if (message.type !== 'assistant') {
+            return;
+        }
+        const messageContent = message.message?.content || [];
+        for (const block of messageContent) {
+            if (block.type === 'tool_use' || block.type === 'server_tool_use') {
+                this.toolCallMap.set(block.id, block.name);
+            }
+        }
+    }
+
+    /**
+     * Describe a run of records left out by record selection (e.g. --since/--until)
+     * @param {Object} skipped - Run {count, firstLine, lastLine, reason}
+     * @returns {string} Plain indicator text
+     */
+    static getSkippedText(skipped) {
+        const records = `${skipped.count} record${skipped.count === 1 ? '' : 's'}`;
+        const range = skipped.firstLine === skipped.lastLine
+            ? `L${skipped.firstLine}`
+            : `L${skipped.firstLine}–L${skipped.lastLine}`;
+        return `${records} ${skipped.reason} hidden: ${range}`;
+    }
+
+    /**
+     * Format the one-line indicator for a run of records left out by record selection
+     * @param {Object} skipped - Run {count, firstLine, lastLine, reason}
+     * @returns {string} Indicator line
+     */
+    formatSkippedRecords(skipped) {
+        return '\n' + this.theme.paint('hidden', `● ${EMOJI.skipped} [${MessageFormatter.getSkippedText(skipped)}]`);
+    }
+
+    /**
+     * Build --verbose detail lines for a block's record
+     * @param {Object} block - Content block with record details (from MessageParser.extractContent)
+     * @returns {Array<string>} Lines like "uuid: abc  parentUuid: def" (empty unless verbose)
+     */
+    getRecordDetailLines(block) {
+        if (!this.options.verbose || !block.record) {
+            return [];
+        }
+
+        const formatValue = (field, value) => {
+            if (field === 'hookInfos' && Array.isArray(value)) {
+                return value.map(info => info.command || JSON.stringify(info)).join(', ') || '[]';
+            }
+            if (typeof value === 'string') {
+                return value === '' ? '""' : value;
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+
+        return [...VERBOSE_FIELD_GROUPS, VERBOSE_HOOK_FIELDS]
+            .map(group => group
+                .filter(field => block.record[field] !== undefined)
+                .map(field => `${field}: ${formatValue(field, block.record[field])}`)
+                .join('  '))
+            .filter(line => line);
+    }
+
+    /**
+     * Format a branch point banner (resume, compaction, /clear, rewind)
+     * @param {Object} event - Event from BranchDetector.detect()
+     * @param {Object} message - Record the banner precedes
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {string} Banner
+     */
+    formatBranchEvent(event, message, lineNumber = null) {
+        const label = `${EMOJI[event.kind]} ${BRANCH_TITLES[event.kind].toUpperCase()}: ${event.text}`;
+        const suffix = this.getSuffixParts(message, lineNumber).join(' ');
+        const width = Math.max(DISPLAY.separatorWidth, label.length + 2 + suffix.length);
+        const separator = this.theme.paint('branch', '━'.repeat(width));
+        const padding = suffix ? ' '.repeat(width - label.length - suffix.length) : '';
+
+        return [
+            '',
+            separator,
+            `${this.theme.paint('branch', label)}${padding}${this.theme.paint('suffix', suffix)}`,
+            separator,
+        ].join('\n');
+    }
+
+    /**
+     * Line prefix added for each level of sub-agent nesting
+     * @returns {string} Indent string
+     */
+    getNestingIndent() {
+        return '  │ ';
+    }
+
+    /**
+     * Format the opening line of an inline sub-agent transcript
+     * @param {string} agentPath - Path to agent transcript
+     * @param {Object} call - Sub-agent tool call {id, input}
+     * @returns {string} Opening banner
+     */
+    formatSubAgentStart(agentPath, call) {
+        const label = `${EMOJI.subAgent} SUB-AGENT TRANSCRIPT: ${path.basename(agentPath)} (${call.id})`;
+        return '\n' + this.theme.paint('heading', label);
+    }
+
+    /**
+     * Format the closing line of an inline sub-agent transcript
+     * @param {string} agentPath - Path to agent transcript
+     * @param {Object} call - Sub-agent tool call {id, input}
+     * @returns {string} Closing banner
+     */
+    formatSubAgentEnd(agentPath, call) {
+        return this.theme.paint('heading', `${EMOJI.subAgent} END SUB-AGENT TRANSCRIPT: ${path.basename(agentPath)}`);
+    }
+
+    /**
+     * Format the notice shown when no transcript matches a sub-agent call
+     * @param {Object} call - Sub-agent tool call {id, input}
+     * @returns {string} One-line notice
+     */
+    formatSubAgentNotFound(call) {
+        return '\n' + this.theme.paint('hidden', `● ${EMOJI.subAgent} [SUB-AGENT TRANSCRIPT NOT FOUND: ${call.id}]`);
+    }
+
+    /**
+     * Emit a tool call held back until its result, without waiting for the result
+     * Called before a sub-agent transcript, which goes between the call and its result
+     * @param {string} toolUseId - ID of the tool_use block
+     * @returns {string} Pending call output, or empty string if nothing is held for it
+     */
+    flushCall(toolUseId) {
+        return '';
+    }
+
+    /**
+     * Emit output held back while streaming (called once the transcript ends)
+     * @returns {string} Pending output, or empty string if nothing is buffered
+     */
+    flush() {
+        return '';
+    }
+
+    /**
+     * Apply --only, --tool and --errors-only to a block
+     * @param {Object} block - Content block from MessageParser
+     * @returns {boolean} True if the block passes all block filters
+     */
+    matchesBlockFilters(block) {
+        const { onlyTypes, toolFilter, errorsOnly } = this.options;
+        if (ALWAYS_SHOWN_BLOCK_TYPES.includes(block.type)) {
+            return true;
+        }
+        if (onlyTypes && !onlyTypes.includes(block.type)) {
+            return false;
+        }
+
+        const isToolBlock = block.type === 'tool_call' || block.type === 'tool_result';
+        if (toolFilter && isToolBlock) {
+            const toolName = block.type === 'tool_call' ? block.name : this.toolCallMap.get(block.id);
+            if (!toolFilter.includes((toolName || '').toLowerCase())) {
+                return false;
+            }
+        }
+
+        if (errorsOnly) {
+            // Failing calls with their inputs and error results; nothing else
+            switch (block.type) {
+                case 'tool_call':
+                    return this.failedToolIds.has(block.id);
+                case 'tool_result':
+                    return block.isError;
+                default:
+                    return false;
+            }
+        }
+        return true;
+    }
+
     shouldDisplay(block) {
+        if (!this.matchesBlockFilters(block)) {
+            return false;
+        }
+
         switch (block.type) {
             case 'thinking':
                 return this.options.showThinking;
@@ -440,6 +1571,8 @@ class MessageFormatter {
             case 'tool_result':
                 return this.options.showToolResults;
             case 'system':
+            case 'snapshot':
+            case 'queue_operation':
                 return this.options.showSystemMessages;
             default:
                 return true;
@@ -472,15 +1605,7 @@ class MessageFormatter {
                 return null;
         }
 
-        // Build suffix parts (timestamp and line number)
-        const suffixParts = [];
-        if (this.options.showTimestamps && message.timestamp) {
-            const localTimestamp = formatLocalIso(message.timestamp);
-            suffixParts.push(`[${localTimestamp}]`);
-        }
-        if (lineNumber !== null) {
-            suffixParts.push(`L${lineNumber}`);
-        }
+        const suffixParts = this.getSuffixParts(message, lineNumber);
 
         // Add right-aligned suffix if we have any parts
         if (suffixParts.length > 0) {
@@ -492,7 +1617,207 @@ class MessageFormatter {
             indicatorText = `${indicatorText}${' '.repeat(padding)}${suffix}`;
         }
 
-        return '\n' + indicatorText;
+        return '\n' + this.theme.paint('hidden', indicatorText);
+    }
+
+    /**
+     * Check whether a block header should carry the record's timestamp
+     * Inside a grouped turn the timestamp is shown once on the turn header instead
+     * @param {Object} message - Parsed message object
+     * @returns {boolean} True if the timestamp should be shown
+     */
+    shouldShowTimestamp(message) {
+        return !!(this.options.showTimestamps && message.timestamp && !this.inTurn);
+    }
+
+    /**
+     * Summarize a group of streamed assistant records (one API response)
+     * @param {Array<Object>} records - Records {message, lineNumber} in file order
+     * @param {number|null} number - 1-based turn number in the transcript (as used by --turn)
+     * @returns {Object} Turn info {number, model, stopReason, timestamp, lineRange, usage}
+     */
+    static getTurnInfo(records, number = null) {
+        const first = records[0];
+        const last = records[records.length - 1];
+        const stopRecord = [...records].reverse().find(r => r.message.message?.stop_reason);
+
+        let lineRange = null;
+        if (first.lineNumber !== null) {
+            lineRange = first.lineNumber === last.lineNumber
+                ? `L${first.lineNumber}`
+                : `L${first.lineNumber}–L${last.lineNumber}`;
+        }
+
+        // Streamed chunks repeat the usage snapshot; the last one has the final output count
+        const usageRecord = [...records].reverse().find(r => r.message.message?.usage);
+
+        return {
+            number,
+            model: records.map(r => r.message.message?.model).find(model => model) || null,
+            stopReason: stopRecord ? stopRecord.message.message.stop_reason : null,
+            timestamp: first.message.timestamp,
+            lineRange,
+            usage: usageRecord ? TokenUsage.fromMessage(usageRecord.message) : null,
+        };
+    }
+
+    /**
+     * Build the label for a turn header
+     * @param {Object} info - Turn info from getTurnInfo()
+     * @returns {string} E.g. "CLAUDE TURN #5 (claude-opus-4-5, stop: tool_use)"
+     */
+    static getTurnLabel(info) {
+        const details = [info.model, info.stopReason && `stop: ${info.stopReason}`].filter(Boolean);
+        const number = info.number ? ` #${info.number}` : '';
+        return `CLAUDE TURN${number}${details.length ? ` (${details.join(', ')})` : ''}`;
+    }
+
+    /**
+     * Format a turn's token usage (and cost estimate with --cost)
+     * @param {Object} info - Turn info from getTurnInfo()
+     * @returns {string|null} E.g. "Tokens: in 9 · out 395 · ... · ~$0.3412" or null
+     */
+    formatTurnUsage(info) {
+        if (!this.options.showUsage || !info.usage) {
+            return null;
+        }
+        let text = `Tokens: ${TokenUsage.format(info.usage)}`;
+        if (this.options.showCost) {
+            const cost = TokenUsage.estimateCost(info.model, info.usage, this.options.pricing);
+            text += ` · ~${TokenUsage.formatCost(cost)}`;
+        }
+        return text;
+    }
+
+    /**
+     * Format a group of streamed assistant records as one turn
+     * @param {Array<Object>} records - Records {message, lineNumber} sharing one requestId
+     * @param {number|null} number - 1-based turn number in the transcript
+     * @returns {string} Turn header followed by the formatted blocks
+     */
+    formatTurn(records, number = null) {
+        // Minimal output has no headers beyond the dialogue itself
+        const header = this.options.outputFormat === 'minimal'
+            ? null
+            : this.formatTurnHeader(MessageFormatter.getTurnInfo(records, number), records);
+
+        return [header, this.formatTurnBlocks(records)].filter(part => part).join('\n');
+    }
+
+    /**
+     * Format records that arrive after their turn was shown (--follow), without another header
+     * @param {Array<Object>} records - Further records {message, lineNumber} of the turn
+     * @returns {string} Formatted blocks
+     */
+    formatTurnContinuation(records) {
+        return this.formatTurnBlocks(records);
+    }
+
+    /**
+     * Format the records of a turn without its header
+     * @param {Array<Object>} records - Records {message, lineNumber} sharing one requestId
+     * @returns {string} Formatted blocks
+     */
+    formatTurnBlocks(records) {
+        this.inTurn = this.options.outputFormat !== 'minimal';
+        try {
+            return records
+                .map(({ message, lineNumber }) => this.format(message, lineNumber))
+                .filter(formatted => formatted)
+                .join('\n');
+        } finally {
+            this.inTurn = false;
+        }
+    }
+
+    /**
+     * Format the header of a grouped assistant turn
+     * @param {Object} info - Turn info from getTurnInfo()
+     * @param {Array<Object>} records - Records {message, lineNumber} of the turn
+     * @returns {string} Turn header
+     */
+    formatTurnHeader(info, records) {
+        const label = `${EMOJI.turn} ${MessageFormatter.getTurnLabel(info)}`;
+        const suffixParts = [];
+        if (this.options.showTimestamps && info.timestamp) {
+            suffixParts.push(`[${formatLocalIso(info.timestamp)}]`);
+        }
+        if (info.lineRange) {
+            suffixParts.push(info.lineRange);
+        }
+        const suffix = suffixParts.join(' ');
+
+        const width = Math.max(DISPLAY.separatorWidth, label.length + 2 + suffix.length);
+        const padding = suffix ? ' '.repeat(width - label.length - suffix.length) : '';
+
+        const usage = this.formatTurnUsage(info);
+
+        return [
+            '',
+            this.theme.paint('separator', '═'.repeat(width)),
+            `${this.theme.paint('text', label)}${padding}${this.theme.paint('suffix', suffix)}`,
+            ...(usage ? [this.theme.paint('suffix', usage)] : []),
+        ].join('\n');
+    }
+
+    /**
+     * Build header suffix parts (timestamp and line number)
+     * @param {Object} message - Parsed message object
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {Array<string>} Suffix parts, e.g. ['[2025-12-29T10:30:45 +01:00]', 'L12']
+     */
+    getSuffixParts(message, lineNumber = null) {
+        const suffixParts = [];
+        if (this.shouldShowTimestamp(message)) {
+            const localTimestamp = formatLocalIso(message.timestamp);
+            suffixParts.push(`[${localTimestamp}]`);
+        }
+        if (lineNumber !== null) {
+            suffixParts.push(`L${lineNumber}`);
+        }
+        return suffixParts;
+    }
+
+    /**
+     * Format the banner printed before a transcript file
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {string} Banner line
+     */
+    formatFileHeader(filePath) {
+        return `\n${this.theme.paint('heading', `=== Parsing: ${filePath} ===`)}\n`;
+    }
+
+    /**
+     * Format the footer printed after a transcript file
+     * @returns {string|null} Footer text or null if none
+     */
+    formatFileFooter() {
+        return null;
+    }
+
+    /**
+     * Format the document preamble printed once before all sessions
+     * @returns {string|null} Preamble or null if the format has none
+     */
+    formatDocumentStart() {
+        return null;
+    }
+
+    /**
+     * Format the document epilogue printed once after all sessions
+     * @returns {string|null} Epilogue or null if the format has none
+     */
+    formatDocumentEnd() {
+        return null;
+    }
+
+    /**
+     * Format session metadata
+     * @param {Object} metadata - Metadata object from MetadataExtractor.extract()
+     * @returns {string} Formatted metadata block
+     */
+    formatMetadata(metadata) {
+        return MetadataExtractor.format(metadata, this.theme, this.options);
     }
 
     tryPrettyPrintJson(text) {
@@ -544,16 +1869,9 @@ class MessageFormatter {
         // Build the label part of the header
         const prefix = block.type === 'human' ? '' : '● ';
         const label = `${prefix}${block.emoji} ${this.getBlockLabel(block)}:`;
+        const role = this.getColorRole(block);
 
-        // Build suffix parts (timestamp and line number)
-        const suffixParts = [];
-        if (this.options.showTimestamps && message.timestamp) {
-            const localTimestamp = formatLocalIso(message.timestamp);
-            suffixParts.push(`[${localTimestamp}]`);
-        }
-        if (lineNumber !== null) {
-            suffixParts.push(`L${lineNumber}`);
-        }
+        const suffixParts = this.getSuffixParts(message, lineNumber);
 
         // Build header line with optional right-aligned suffix
         let headerLine = label;
@@ -569,25 +1887,29 @@ class MessageFormatter {
                 separatorWidth = neededWidth;
             }
 
-            // Calculate padding to right-align suffix
+            // Calculate padding to right-align suffix (on plain text, before coloring)
             const padding = separatorWidth - label.length - suffix.length;
-            headerLine = `${label}${' '.repeat(padding)}${suffix}`;
+            headerLine = `${this.theme.paint(role, label)}${' '.repeat(padding)}${this.theme.paint('suffix', suffix)}`;
+        } else {
+            headerLine = this.theme.paint(role, label);
         }
 
         // Generate separator (may be extended for long content)
-        const separator = '—'.repeat(separatorWidth);
+        const separator = this.theme.paint('separator', '—'.repeat(separatorWidth));
 
         // Add header with blank lines above and below for breathing room
         lines.push('');
         lines.push(separator);
         lines.push(headerLine);
+        lines.push(...this.getRecordDetailLines(block).map(line => this.theme.paint('suffix', line)));
         lines.push('');
 
         // Add content based on type
         switch (block.type) {
             case 'thinking':
                 // Apply truncation to thinking blocks
-                lines.push(...this.truncateIfNeeded(block.text, 'thinking block'));
+                lines.push(...this.truncateIfNeeded(block.text, 'thinking block')
+                    .map(line => this.theme.paint('thinking', line)));
                 break;
 
             case 'text':
@@ -610,6 +1932,17 @@ class MessageFormatter {
                 lines.push(block.text || '');
                 break;
 
+            case 'image':
+            case 'snapshot':
+            case 'queue_operation':
+                lines.push(...this.truncateIfNeeded(block.text, block.type.replace('_', ' ')));
+                break;
+
+            case 'unknown':
+                lines.push(`⚠️  Unrecognized ${block.kind} type "${block.unknownType}" - showing raw JSON`);
+                lines.push(...this.truncateIfNeeded(block.text, `unknown ${block.kind}`));
+                break;
+
             case 'tool_call':
                 lines.push(`Tool: ${block.name}`);
                 lines.push(`ID: ${block.id}`);
@@ -617,6 +1950,13 @@ class MessageFormatter {
                     lines.push(`Type: SUB-AGENT`);
                 }
 
+                // Tool-aware rendering, raw JSON for unknown tools
+                const inputSections = this.renderToolInput(block);
+                if (inputSections) {
+                    lines.push(...this.formatToolSections(inputSections, 'tool input'));
+                    break;
+                }
+
                 // Apply truncation to tool inputs
                 const inputStr = JSON.stringify(block.input, null, 2);
                 const truncatedInput = this.truncateIfNeeded(inputStr, 'tool input');
@@ -630,7 +1970,7 @@ class MessageFormatter {
                 lines.push(`Tool: ${resultToolName}`);
                 lines.push(`ID: ${block.id}`);
                 if (block.isError) {
-                    lines.push(`Status: ERROR`);
+                    lines.push(this.theme.paint('error', `Status: ERROR`));
                 }
 
                 // Show indicator if result contains multiple content blocks
@@ -641,12 +1981,22 @@ class MessageFormatter {
                     lines.push(`Note: Contains non-text content (images, etc.)`);
                 }
 
+                // Structured result payload, when a renderer understands it
+                const resultSections = this.renderToolResult(block, resultToolName);
+                if (resultSections) {
+                    lines.push(...this.formatToolSections(resultSections, 'tool result'));
+                    break;
+                }
+
                 // Try to pretty-print JSON for better readability
                 let resultStr = block.text || 'null';
                 resultStr = this.tryPrettyPrintJson(resultStr);
 
-                // Apply truncation to tool results
-                lines.push(...this.truncateIfNeeded(resultStr, 'tool result'));
+                // Apply truncation to tool results (errors in red)
+                const truncatedResult = this.truncateIfNeeded(resultStr, 'tool result');
+                lines.push(...(block.isError
+                    ? truncatedResult.map(line => this.theme.paint('error', line))
+                    : truncatedResult));
                 break;
 
             case 'parse_error':
@@ -663,14 +2013,81 @@ class MessageFormatter {
         return lines.join('\n');
     }
 
+    /**
+     * Render a tool call input with ToolRenderer (unless --raw-tools)
+     * @param {Object} block - tool_call block
+     * @returns {Array<Object>|null} Sections or null for raw JSON
+     */
+    renderToolInput(block) {
+        return this.options.rawTools ? null : ToolRenderer.renderInput(block.name, block.input);
+    }
+
+    /**
+     * Render a tool result's structured payload with ToolRenderer (unless --raw-tools)
+     * @param {Object} block - tool_result block
+     * @param {string} toolName - Name of the tool that produced the result
+     * @returns {Array<Object>|null} Sections or null for the plain result text
+     */
+    renderToolResult(block, toolName) {
+        return this.options.rawTools ? null : ToolRenderer.renderResult(toolName, block);
+    }
+
+    /**
+     * Lay out ToolRenderer sections as terminal lines
+     * @param {Array<Object>} sections - Sections {label, text, language}
+     * @param {string} label - Content label for truncation notes
+     * @returns {Array<string>} Output lines
+     */
+    formatToolSections(sections, label) {
+        const lines = [];
+        for (const section of sections) {
+            if (section.label) {
+                lines.push(section.label);
+            }
+            if (section.text !== null) {
+                const truncated = this.truncateIfNeeded(section.text, label);
+                lines.push(...(section.language === 'diff'
+                    ? truncated.map(line => this.colorDiff(line))
+                    : truncated));
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Color added/removed lines of a diff
+     * @param {string} text - Diff text
+     * @returns {string} Colored diff (unchanged when color is off)
+     */
+    colorDiff(text) {
+        return text.split('\n').map(line => {
+            if (line.startsWith('+') && !line.startsWith('+++')) return this.theme.paint('diff_add', line);
+            if (line.startsWith('-') && !line.startsWith('---')) return this.theme.paint('diff_remove', line);
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Get the COLOR_THEME role for a block's header
+     * @param {Object} block - Content block from MessageParser
+     * @returns {string} Theme role
+     */
+    getColorRole(block) {
+        if (block.type === 'tool_result' && block.isError) {
+            return 'tool_error';
+        }
+        return block.type;
+    }
+
     getBlockLabel(block) {
         // Simple label mappings
         const simpleLabels = {
-            thinking: 'THINKING',
             text: 'CLAUDE',
             human: 'HUMAN',
             summary: 'SUMMARY',
             parse_error: 'PARSE ERROR',
+            image: 'IMAGE',
+            snapshot: 'FILE SNAPSHOT',
         };
 
         // Check for simple cases first
@@ -680,12 +2097,21 @@ class MessageFormatter {
 
         // Handle complex cases with conditional logic
         switch (block.type) {
+            case 'thinking':
+                return block.isRedacted ? 'THINKING (REDACTED)' : 'THINKING';
             case 'tool_call':
+                if (block.isServerTool) {
+                    return 'SERVER TOOL_CALL';
+                }
                 return block.isSubAgent ? 'SUB-AGENT CALL' : 'TOOL_CALL';
             case 'tool_result':
-                return block.isError ? 'TOOL_ERROR' : 'TOOL_RESULT';
+                return `${block.isServerTool ? 'SERVER ' : ''}${block.isError ? 'TOOL_ERROR' : 'TOOL_RESULT'}`;
             case 'system':
                 return `SYSTEM (${block.level || 'info'})`;
+            case 'queue_operation':
+                return `QUEUE (${block.operation})`;
+            case 'unknown':
+                return `UNKNOWN ${block.kind.toUpperCase()}: ${block.unknownType}`;
             default:
                 return block.type.toUpperCase();
         }
@@ -693,551 +2119,1029 @@ class MessageFormatter {
 }
 
 // ================================================================================
-// METADATA EXTRACTOR
+// COMPACT FORMATTER
 // ================================================================================
 
-class MetadataExtractor {
+/**
+ * Terminal formatter for outputFormat 'compact': one header line per block,
+ * no separators, and each tool call collapsed with its result into one line
+ * (e.g. "● 🔧 Bash: npm test → ✅ 42 lines").
+ * Tool calls are held back until their result arrives; flush() emits calls
+ * that never got a result (interrupted sessions).
+ */
+class CompactFormatter extends MessageFormatter {
+    constructor(options = {}) {
+        super(options);
+        // Tool calls waiting for their result: tool_use_id -> {block, message, lineNumber}
+        this.pendingCalls = new Map();
+    }
+
     /**
-     * Extract metadata from transcript file
-     * @param {string} filePath - Path to JSONL transcript file
-     * @returns {Promise<Object>} Metadata object with sessionId, projectPath, timestamp, counts
-     * @throws {Error} If file cannot be read or stream errors occur
+     * Summarize a tool input as a short one-line string
+     * Uses the most telling input field for well-known tools, else the first string value
+     * @param {string} name - Tool name
+     * @param {Object} input - Tool input object
+     * @returns {string} One-line summary
      */
-    static async extract(filePath) {
-        const metadata = {
-            sessionId: null,
-            projectPath: null,
-            timestamp: null,
-            messageCount: 0,
-            toolCallCount: 0,
-            hasSubAgents: false,
+    static summarizeToolInput(name, input = {}) {
+        const keyFields = {
+            Bash: 'command',
+            Read: 'file_path',
+            Write: 'file_path',
+            Edit: 'file_path',
+            MultiEdit: 'file_path',
+            NotebookEdit: 'notebook_path',
+            Grep: 'pattern',
+            Glob: 'pattern',
+            WebFetch: 'url',
+            WebSearch: 'query',
+            Task: 'description',
         };
 
-        return new Promise((resolve, reject) => {
-            const stream = fs.createReadStream(filePath);
-            const rl = readline.createInterface({
-                input: stream,
-                crlfDelay: Infinity,
-            });
+        if (name === 'TodoWrite' && Array.isArray(input?.todos)) {
+            return `${input.todos.length} todos`;
+        }
 
-            // Cleanup function to close all resources
-            const cleanup = () => {
-                rl.close();
-                stream.destroy();
-            };
+        const key = keyFields[name];
+        const value = key && typeof input?.[key] === 'string'
+            ? input[key]
+            : Object.values(input || {}).find(v => typeof v === 'string');
 
-            let metadataExtracted = false;
-            let lineNumber = 0;
+        return CompactFormatter.oneLine(value !== undefined ? value : JSON.stringify(input));
+    }
 
-            rl.on('line', (line) => {
-                lineNumber++;
-                const message = MessageParser.parseLine(line, lineNumber);
+    /**
+     * Collapse text to a single clipped line
+     * @param {string} text - Text to collapse
+     * @param {number} maxLength - Maximum length (default: 80)
+     * @returns {string} Single line, with '…' when clipped
+     */
+    static oneLine(text, maxLength = 80) {
+        const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+        return line.length > maxLength ? line.substring(0, maxLength - 1) + '…' : line;
+    }
 
-                // Only process user, assistant, and system messages
-                // (skips parse errors, file-history-snapshot, summary, etc.)
-                if (!['user', 'assistant', 'system'].includes(message.type)) {
-                    return;
-                }
+    /**
+     * Summarize a tool result as a short status string
+     * @param {Object} block - tool_result block
+     * @returns {string} E.g. "✅ 42 lines" or "❌ Error: file not found"
+     */
+    static summarizeToolResult(block) {
+        const text = (block.text || '').replace(/\n+$/, '');
+        if (block.isError) {
+            return `${block.emoji} ${CompactFormatter.oneLine(text.split('\n')[0]) || 'error'}`;
+        }
+        if (!text) {
+            return `${block.emoji} (empty)`;
+        }
+        const lineCount = text.split('\n').length;
+        return `${block.emoji} ${lineCount} line${lineCount === 1 ? '' : 's'}`;
+    }
 
-                metadata.messageCount++;
+    /**
+     * Join a header label and its suffix parts on one line
+     * @param {string} role - COLOR_THEME role for the label
+     * @param {string} label - Header label
+     * @param {Array<string>} suffixParts - Suffix parts from getSuffixParts()
+     * @param {Object|null} block - Block whose --verbose record details follow the line
+     * @returns {string} Header line
+     */
+    formatLine(role, label, suffixParts, block = null) {
+        const suffix = suffixParts.length > 0 ? `  ${this.theme.paint('suffix', suffixParts.join(' '))}` : '';
+        const details = block
+            ? this.getRecordDetailLines(block).map(line => '\n' + this.theme.paint('suffix', `  ${line}`))
+            : [];
+        return `${this.theme.paint(role, label)}${suffix}${details.join('')}`;
+    }
 
-                // Extract from first real message
-                if (!metadataExtracted && message.sessionId) {
-                    metadata.sessionId = message.sessionId;
-                    metadata.timestamp = message.timestamp;
-                    metadata.projectPath = message.cwd;
-                    metadataExtracted = true;
+    /**
+     * Format a tool call line, with its result if known
+     * @param {Object} call - Pending call {block, message, lineNumber}
+     * @param {Object|null} result - Result {block, message, lineNumber} or null
+     * @param {boolean} awaitingResult - Result still follows (no "no result" marker)
+     * @returns {string} One-line tool summary
+     */
+    formatToolLine(call, result = null, awaitingResult = false) {
+        const { block } = call;
+        const label = `● ${block.emoji} ${block.isSubAgent ? '🤖 ' : ''}${block.name}: ${CompactFormatter.summarizeToolInput(block.name, block.input)}`;
+
+        let status;
+        if (result) {
+            status = CompactFormatter.summarizeToolResult(result.block);
+        } else {
+            status = this.options.showToolResults && !awaitingResult ? '⏳ no result' : null;
+        }
+
+        const suffixParts = this.getSuffixParts(call.message, call.lineNumber);
+        if (result && result.lineNumber !== null && suffixParts.length > 0) {
+            suffixParts[suffixParts.length - 1] += `,L${result.lineNumber}`;
+        }
+
+        const role = result?.block.isError ? 'tool_error' : 'tool_call';
+        return this.formatLine(role, status ? `${label} → ${status}` : label, suffixParts, block);
+    }
+
+    formatFilteredIndicator(block, message, lineNumber = null) {
+        const indicator = super.formatFilteredIndicator(block, message, lineNumber);
+        // Drop the leading blank line used by the full layout
+        return indicator ? indicator.replace(/^\n/, '') : indicator;
+    }
+
+    formatSkippedRecords(skipped) {
+        return super.formatSkippedRecords(skipped).replace(/^\n/, '');
+    }
+
+    formatBlock(block, message, lineNumber = null) {
+        const suffixParts = this.getSuffixParts(message, lineNumber);
+        const prefix = block.type === 'human' ? '' : '● ';
+        const label = `${prefix}${block.emoji} ${this.getBlockLabel(block)}`;
+        const role = this.getColorRole(block);
+
+        switch (block.type) {
+            case 'human':
+            case 'text': {
+                const text = this.truncateIfNeeded(block.text, block.type === 'human' ? 'message' : 'response');
+                return [this.formatLine(role, `${label}:`, suffixParts, block), ...text].join('\n');
+            }
+
+            case 'thinking': {
+                const length = (block.text || '').length;
+                const preview = CompactFormatter.oneLine(block.text, 60);
+                return this.formatLine(role, `${label}: ${preview} (${length} chars)`, suffixParts, block);
+            }
+
+            case 'tool_call': {
+                const call = { block, message, lineNumber };
+                // Without visible results there's nothing to wait for
+                if (!this.options.showToolResults) {
+                    return this.formatToolLine(call);
                 }
+                this.pendingCalls.set(block.id, call);
+                return null;
+            }
 
-                // Count tool calls
-                if (message.type === 'assistant') {
-                    const content = message.message?.content || [];
-                    for (const block of content) {
-                        if (block.type === 'tool_use') {
-                            metadata.toolCallCount++;
-                            if (MessageParser.isSubAgent(block.name)) {
-                                metadata.hasSubAgents = true;
-                            }
-                        }
-                    }
+            case 'tool_result': {
+                const call = this.pendingCalls.get(block.id);
+                const result = { block, message, lineNumber };
+                if (call) {
+                    this.pendingCalls.delete(block.id);
+                    return this.formatToolLine(call, result);
                 }
-            });
+                // Call was hidden or is not in this transcript
+                const toolName = this.toolCallMap.get(block.id) || 'Unknown';
+                return this.formatLine(role, `${label} ${toolName}: ${CompactFormatter.summarizeToolResult(block)}`, suffixParts, block);
+            }
 
-            rl.on('close', () => {
-                cleanup();
-                resolve(metadata);
-            });
+            case 'system':
+            case 'summary':
+            case 'image':
+            case 'snapshot':
+            case 'queue_operation':
+            case 'unknown':
+                return this.formatLine(role, `${label}: ${CompactFormatter.oneLine(block.text, 100)}`, suffixParts, block);
 
-            rl.on('error', (error) => {
-                cleanup();
-                reject(error);
-            });
+            case 'parse_error':
+                return this.formatLine(role, `${label}: Line ${block.lineNumber || '?'}: ${block.error}`, suffixParts, block);
 
-            // Also handle stream errors
-            stream.on('error', (error) => {
-                cleanup();
-                reject(error);
-            });
-        });
+            default:
+                return this.formatLine(role, label, suffixParts, block);
+        }
     }
 
-    /**
-     * Format metadata as human-readable string
-     * @param {Object} metadata - Metadata object from extract()
-     * @returns {string} Formatted metadata display with session info and counts
-     */
-    static format(metadata) {
-        const startedTime = metadata.timestamp
-            ? formatLocalIso(metadata.timestamp)
-            : 'unknown';
+    formatTurnHeader(info, records) {
+        const suffixParts = [];
+        if (this.options.showTimestamps && info.timestamp) {
+            suffixParts.push(`[${formatLocalIso(info.timestamp)}]`);
+        }
+        if (info.lineRange) {
+            suffixParts.push(info.lineRange);
+        }
+        const usage = this.formatTurnUsage(info);
+        const label = `${EMOJI.turn} ${MessageFormatter.getTurnLabel(info)}${usage ? ` · ${usage}` : ''}`;
+        return this.formatLine('text', label, suffixParts);
+    }
 
-        const lines = [
-            '',
-            `${EMOJI.metadata} SESSION METADATA`,
-            DISPLAY.metadataSeparator,
-            `Session ID:     ${metadata.sessionId || 'unknown'}`,
-            `Project Path:   ${metadata.projectPath || 'unknown'}`,
-            `Started:        ${startedTime}`,
-            `Messages:       ${metadata.messageCount}`,
-            `Tool Calls:     ${metadata.toolCallCount}`,
-            `Has Sub-Agents: ${metadata.hasSubAgents ? 'Yes' : 'No'}`,
-            DISPLAY.metadataSeparator,
-            '',
-        ];
+    formatBranchEvent(event, message, lineNumber = null) {
+        const label = `━━ ${EMOJI[event.kind]} ${BRANCH_TITLES[event.kind].toUpperCase()}: ${event.text} ━━`;
+        return this.formatLine('branch', label, this.getSuffixParts(message, lineNumber));
+    }
+
+    flushCall(toolUseId) {
+        // The result then gets a line of its own after the sub-agent transcript
+        const call = this.pendingCalls.get(toolUseId);
+        this.pendingCalls.delete(toolUseId);
+        return call ? this.formatToolLine(call, null, true) : '';
+    }
+
+    flush() {
+        // Emit tool calls whose result never arrived
+        const lines = [...this.pendingCalls.values()].map(call => this.formatToolLine(call));
+        this.pendingCalls.clear();
         return lines.join('\n');
     }
 }
 
 // ================================================================================
-// SESSION RESOLVER
+// MARKDOWN FORMATTER
 // ================================================================================
 
 /**
- * Resolves session identifiers to transcript file paths.
- * Handles: file paths, full UUIDs, prefix matches, directory lookups.
+ * Renders transcripts as a plain Markdown document (for PRs, wikis, etc.).
+ * Reuses MessageFormatter's filtering, truncation and tool tracking; only the
+ * presentation differs: headings instead of separators, no emoji decoration.
  */
-class SessionResolver {
+class MarkdownFormatter extends MessageFormatter {
     /**
-     * Create a SessionResolver instance
-     * @param {Object} options - Resolution options
-     * @param {boolean} options.includeAgents - Include agent sessions in results (default: true)
-     * @param {boolean} options.latest - Auto-pick most recent on multiple matches
+     * Wrap text in a fenced code block, choosing a fence longer than any
+     * backtick run inside the text so the block can't be closed early
+     * @param {string} text - Code block content
+     * @param {string} language - Info string (e.g. 'json', 'text')
+     * @returns {Array<string>} Lines of the fenced block
      */
-    constructor(options = {}) {
-        this.includeAgents = options.includeAgents !== false;
-        this.latest = options.latest || false;
-        this.projectsDir = path.join(os.homedir(), '.claude', 'projects');
+    static fence(text, language = '') {
+        const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return [`${fence}${language}`, String(text), fence];
     }
 
     /**
-     * Check if a path exists as a file
-     * @param {string} filePath - Path to check
-     * @returns {Promise<boolean>} True if file exists
-     * @throws {Error} For permission errors, filesystem errors, etc.
+     * Build the timestamp/line-number text shown under a heading
+     * @param {Object} message - Parsed message object
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {string|null} Suffix text (e.g. "2025-12-29T10:30:45 +01:00 · L12") or null
      */
-    async fileExists(filePath) {
-        try {
-            const stats = await fs.promises.stat(filePath);
-            return stats.isFile();
-        } catch (error) {
-            // ENOENT = genuinely doesn't exist - return false
-            if (error.code === 'ENOENT') {
-                return false;
-            }
-            // Other errors (EACCES, EMFILE, EIO, etc.) should propagate
-            throw error;
+    formatSuffix(message, lineNumber = null) {
+        const parts = [];
+        if (this.shouldShowTimestamp(message)) {
+            parts.push(formatLocalIso(message.timestamp));
+        }
+        if (lineNumber !== null) {
+            parts.push(`L${lineNumber}`);
         }
+        return parts.length > 0 ? parts.join(' · ') : null;
     }
 
     /**
-     * Check if a path exists as a directory
-     * @param {string} dirPath - Path to check
-     * @returns {Promise<boolean>} True if directory exists
-     * @throws {Error} For permission errors, filesystem errors, etc.
+     * Split truncateIfNeeded() output into content and truncation note
+     * @param {string} text - Text to truncate
+     * @param {string} label - Content label for the truncation note
+     * @returns {Object} Object with {text, note} (note is null when not truncated)
      */
-    async isDirectory(dirPath) {
-        try {
-            const stats = await fs.promises.stat(dirPath);
-            return stats.isDirectory();
-        } catch (error) {
-            // ENOENT = genuinely doesn't exist - return false
-            if (error.code === 'ENOENT') {
-                return false;
-            }
-            // Other errors (EACCES, EMFILE, EIO, etc.) should propagate
-            throw error;
-        }
+    truncateForMarkdown(text, label) {
+        const [truncated, note = null] = this.truncateIfNeeded(text, label);
+        return { text: truncated, note: note ? `_${note}_` : null };
     }
 
-    /**
-     * Encode a directory path to project folder name
-     * Follows Claude Code's encoding: all non-alphanumeric chars become '-'
-     * @param {string} dirPath - Absolute directory path
-     * @returns {string} Encoded project folder name
-     */
-    static encodeProjectPath(dirPath) {
-        // Replace all non-alphanumeric characters with hyphens
-        return dirPath.replace(/[^a-zA-Z0-9]/g, '-');
+    formatFileHeader(filePath) {
+        return `<!-- Source: ${filePath} -->\n`;
     }
 
-    /**
-     * Format file size for human-readable display
-     * @param {number} bytes - File size in bytes
-     * @returns {string} Formatted size (e.g., "1.2 MB")
-     */
-    static formatSize(bytes) {
-        if (bytes < 1024) return bytes + ' B';
-        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    formatMetadata(metadata) {
+        const startedTime = metadata.timestamp
+            ? formatLocalIso(metadata.timestamp)
+            : 'unknown';
+
+        const lines = [
+            `# Session ${metadata.sessionId || 'unknown'}`,
+            '',
+            '| | |',
+            '|---|---|',
+            `| **Project Path** | \`${metadata.projectPath || 'unknown'}\` |`,
+            `| **Started** | ${startedTime} |`,
+            `| **Messages** | ${metadata.messageCount} |`,
+            `| **Tool Calls** | ${metadata.toolCallCount} |`,
+            `| **Has Sub-Agents** | ${metadata.hasSubAgents ? 'Yes' : 'No'} |`,
+            ...MetadataExtractor.getUsageRows(metadata, this.options)
+                .map(({ label, value }) => `| **${label}** | ${value} |`),
+            '',
+        ];
+        return lines.join('\n');
     }
 
-    /**
-     * Format datetime for display (local time with timezone offset)
-     * @param {Date} date - Date to format
-     * @returns {string} Formatted local date with offset (YYYY-MM-DD HH:MM +HH:MM)
-     */
-    static formatDateTime(date) {
-        return formatLocalShort(date);
+    formatFilteredIndicator(block, message, lineNumber = null) {
+        let indicatorText;
+        switch (block.type) {
+            case 'thinking':
+                indicatorText = 'Thinking block hidden';
+                break;
+            case 'tool_call':
+                indicatorText = `Tool call hidden: ${block.name}`;
+                break;
+            case 'tool_result':
+                const status = block.isError ? 'error' : 'success';
+                const toolName = this.toolCallMap.get(block.id) || 'Unknown';
+                indicatorText = `Tool result hidden (${status}): ${toolName}`;
+                break;
+            default:
+                // System messages are fully suppressed when hidden (no indicator)
+                return null;
+        }
+
+        const suffix = this.formatSuffix(message, lineNumber);
+        return `\n> _[${indicatorText}]_${suffix ? ` _${suffix}_` : ''}`;
     }
 
-    /**
-     * Read the mother session ID from an agent file
-     * @param {string} agentFilePath - Path to agent .jsonl file
-     * @returns {Promise<string|null>} Mother session ID or null (with warning on error)
-     */
-    async getAgentParentId(agentFilePath) {
-        let stream;
-        let rl;
-        let result = null;
+    formatSkippedRecords(skipped) {
+        return `\n> _[${MessageFormatter.getSkippedText(skipped)}]_`;
+    }
 
-        try {
-            stream = fs.createReadStream(agentFilePath, { encoding: 'utf8' });
-            rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    formatBlock(block, message, lineNumber = null) {
+        const lines = [''];
+        const suffix = this.formatSuffix(message, lineNumber);
+
+        // Thinking goes into a collapsible section instead of a heading
+        if (block.type === 'thinking') {
+            const { text, note } = this.truncateForMarkdown(block.text, 'thinking block');
+            const title = block.isRedacted ? 'Thinking (redacted)' : 'Thinking';
+            const summary = suffix ? `${title} (${suffix})` : title;
+            lines.push('<details>');
+            lines.push(`<summary>${summary}</summary>`);
+            lines.push('');
+            lines.push(...this.formatRecordDetailsMarkdown(block));
+            lines.push(text);
+            if (note) lines.push('', note);
+            lines.push('');
+            lines.push('</details>');
+            return lines.join('\n');
+        }
 
-            for await (const line of rl) {
-                try {
-                    const data = JSON.parse(line);
-                    if (data.sessionId) {
-                        result = data.sessionId;
-                        break; // Found it - exit loop, cleanup in finally
-                    }
-                } catch {
-                    // Skip lines that aren't valid JSON - continue scanning
-                }
-            }
-        } catch (error) {
-            // Log warning but don't fail - we're in a scan loop
-            const filename = path.basename(agentFilePath);
-            console.error(`Warning: Could not read agent parent ID from ${filename}: ${error.message}`);
-        } finally {
-            // Ensure streams are always cleaned up
-            if (rl) rl.close();
-            if (stream) stream.destroy();
+        // Inside a grouped turn, Claude's text is the body of the turn's "## Claude" heading
+        if (!(this.inTurn && block.type === 'text')) {
+            lines.push(this.getMarkdownHeading(block));
+            if (suffix) lines.push(`_${suffix}_`);
+            lines.push('');
         }
+        lines.push(...this.formatRecordDetailsMarkdown(block));
 
-        return result;
-    }
+        switch (block.type) {
+            case 'text':
+            case 'human':
+            case 'system': {
+                const labels = { text: 'response', human: 'message', system: 'system message' };
+                const { text, note } = this.truncateForMarkdown(block.text, labels[block.type]);
+                lines.push(text);
+                if (note) lines.push('', note);
+                break;
+            }
 
-    /**
-     * Scan a project directory for session files
-     * @param {string} projectDirPath - Full path to project directory
-     * @param {string} projectDirName - Encoded project folder name
-     * @returns {Promise<Array>} Array of session info objects
-     */
-    async scanProjectDir(projectDirPath, projectDirName) {
-        const sessions = [];
+            case 'summary':
+                lines.push(`> ${block.text || ''}`);
+                break;
 
-        try {
-            const files = await fs.promises.readdir(projectDirPath);
+            case 'image':
+            case 'snapshot':
+            case 'queue_operation': {
+                const { text, note } = this.truncateForMarkdown(block.text, block.type.replace('_', ' '));
+                lines.push(...(block.type === 'image' ? [text] : MarkdownFormatter.fence(text, 'text')));
+                if (note) lines.push('', note);
+                break;
+            }
 
-            for (const filename of files) {
-                if (!filename.endsWith('.jsonl')) continue;
+            case 'unknown': {
+                lines.push(`_Unrecognized ${block.kind} type \`${block.unknownType}\` — showing raw JSON_`);
+                lines.push('');
+                const { text, note } = this.truncateForMarkdown(block.text, `unknown ${block.kind}`);
+                lines.push(...MarkdownFormatter.fence(text, 'json'));
+                if (note) lines.push('', note);
+                break;
+            }
 
-                const isAgent = filename.startsWith('agent-');
+            case 'tool_call': {
+                lines.push(`- **ID:** \`${block.id}\``);
+                if (block.isSubAgent) {
+                    lines.push('- **Type:** sub-agent');
+                }
+                lines.push('');
 
-                // Skip agent files unless includeAgents is set
-                if (isAgent && !this.includeAgents) continue;
+                const inputSections = this.renderToolInput(block);
+                if (inputSections) {
+                    lines.push(...this.formatToolSectionsMarkdown(inputSections, 'tool input'));
+                    break;
+                }
 
-                const filePath = path.join(projectDirPath, filename);
+                const inputStr = JSON.stringify(block.input, null, 2);
+                const { text, note } = this.truncateForMarkdown(inputStr, 'tool input');
+                lines.push(...MarkdownFormatter.fence(text, 'json'));
+                if (note) lines.push('', note);
+                break;
+            }
 
-                try {
-                    const stats = await fs.promises.stat(filePath);
-
-                    const sessionInfo = {
-                        path: filePath,
-                        sessionId: filename.replace('.jsonl', ''),
-                        projectDir: projectDirName,
-                        modified: stats.mtime,
-                        size: stats.size,
-                        isAgent: isAgent,
-                        parentSessionId: null,
-                    };
-
-                    // Get parent session ID for agent files
-                    if (isAgent) {
-                        sessionInfo.parentSessionId = await this.getAgentParentId(filePath);
-                    }
+            case 'tool_result': {
+                lines.push(`- **ID:** \`${block.id}\``);
+                if (block.isError) {
+                    lines.push('- **Status:** ERROR');
+                }
+                if (block.hasMultipleBlocks) {
+                    lines.push('- **Content:** Multiple blocks (separated below)');
+                }
+                if (block.hasNonTextBlocks) {
+                    lines.push('- **Note:** Contains non-text content (images, etc.)');
+                }
+                lines.push('');
 
-                    sessions.push(sessionInfo);
-                } catch (error) {
-                    // ENOENT = file deleted between readdir and stat (race condition, expected)
-                    if (error.code !== 'ENOENT') {
-                        console.error(`Warning: Cannot read session ${filename}: ${error.message}`);
-                    }
+                const resultSections = this.renderToolResult(block, this.toolCallMap.get(block.id));
+                if (resultSections) {
+                    lines.push(...this.formatToolSectionsMarkdown(resultSections, 'tool result'));
+                    break;
                 }
+
+                const rawResult = block.text || 'null';
+                const resultStr = this.tryPrettyPrintJson(rawResult);
+                const language = resultStr !== rawResult ? 'json' : 'text';
+                const { text, note } = this.truncateForMarkdown(resultStr, 'tool result');
+                lines.push(...MarkdownFormatter.fence(text, language));
+                if (note) lines.push('', note);
+                break;
             }
-        } catch (error) {
-            // ENOENT = directory doesn't exist (expected for non-existent project paths)
-            if (error.code !== 'ENOENT') {
-                console.error(`Warning: Cannot scan ${projectDirPath}: ${error.message}`);
+
+            case 'parse_error': {
+                const lineInfo = block.lineNumber ? `Line ${block.lineNumber}` : 'Unknown line';
+                lines.push(`**${lineInfo}: Failed to parse JSONL** — ${block.error}`);
+                lines.push('');
+                lines.push(...MarkdownFormatter.fence(`${block.preview}...`, 'text'));
+                lines.push('');
+                lines.push('_This line contains corrupt data and cannot be displayed. The transcript may be incomplete._');
+                break;
             }
         }
 
-        return sessions;
+        return lines.join('\n');
     }
 
-    /**
-     * Scan all project directories for session files
-     * @returns {Promise<Array>} Array of session info objects
-     */
-    async scanSessions() {
-        const sessions = [];
+    formatBranchEvent(event, message, lineNumber = null) {
+        const suffix = this.formatSuffix(message, lineNumber);
+        return [
+            '',
+            '---',
+            '',
+            `> **${BRANCH_TITLES[event.kind]}:** ${event.text}${suffix ? ` _${suffix}_` : ''}`,
+            '',
+            '---',
+        ].join('\n');
+    }
 
-        try {
-            const projectDirs = await fs.promises.readdir(this.projectsDir, { withFileTypes: true });
+    formatTurnHeader(info, records) {
+        const details = [info.model, info.stopReason && `stop: ${info.stopReason}`];
+        if (this.options.showTimestamps && info.timestamp) {
+            details.push(formatLocalIso(info.timestamp));
+        }
+        details.push(info.lineRange);
+        const suffix = details.filter(Boolean).join(' · ');
+        const usage = this.formatTurnUsage(info);
+        return [
+            '',
+            '## Claude',
+            ...(suffix ? [`_${suffix}_`] : []),
+            ...(usage ? ['', `<sub>${usage}</sub>`] : []),
+        ].join('\n');
+    }
 
-            for (const projDir of projectDirs) {
-                if (!projDir.isDirectory()) continue;
+    getNestingIndent() {
+        // Nested transcripts render as a blockquote
+        return '> ';
+    }
 
-                const projPath = path.join(this.projectsDir, projDir.name);
-                const projectSessions = await this.scanProjectDir(projPath, projDir.name);
-                sessions.push(...projectSessions);
-            }
-        } catch (error) {
-            // Projects directory not accessible
-            throw new Error(`Cannot access projects directory: ${this.projectsDir}`);
-        }
+    formatSubAgentStart(agentPath, call) {
+        return `\n**Sub-agent transcript:** \`${path.basename(agentPath)}\` (\`${call.id}\`)\n`;
+    }
 
-        // Sort by modification date (newest first)
-        sessions.sort((a, b) => b.modified - a.modified);
+    formatSubAgentEnd(agentPath, call) {
+        return `\n_End of sub-agent transcript \`${path.basename(agentPath)}\`_`;
+    }
 
-        return sessions;
+    formatSubAgentNotFound(call) {
+        return `\n> _[Sub-agent transcript not found: ${call.id}]_`;
     }
 
     /**
-     * Find sessions matching a prefix
-     * @param {string} prefix - Session ID prefix to match
-     * @returns {Promise<Array>} Matching sessions
+     * Lay out ToolRenderer sections as labels and fenced code blocks
+     * @param {Array<Object>} sections - Sections {label, text, language}
+     * @param {string} label - Content label for truncation notes
+     * @returns {Array<string>} Markdown lines
      */
-    async findByPrefix(prefix) {
-        // If searching for agent- prefix, temporarily include agents in scan
-        const searchingForAgent = prefix.toLowerCase().startsWith('agent-');
-        const originalIncludeAgents = this.includeAgents;
-        if (searchingForAgent) {
-            this.includeAgents = true;
+    formatToolSectionsMarkdown(sections, label) {
+        const lines = [];
+        for (const section of sections) {
+            if (section.label) {
+                lines.push(`**${section.label}**`, '');
+            }
+            if (section.text !== null) {
+                const { text, note } = this.truncateForMarkdown(section.text, label);
+                lines.push(...MarkdownFormatter.fence(text, section.language || 'text'), '');
+                if (note) lines.push(note, '');
+            }
         }
+        return lines;
+    }
 
-        try {
-            const sessions = await this.scanSessions();
-            const normalizedPrefix = prefix.toLowerCase();
-
-            return sessions.filter(s =>
-                s.sessionId.toLowerCase().startsWith(normalizedPrefix)
-            );
-        } finally {
-            // Restore original setting
-            this.includeAgents = originalIncludeAgents;
+    /**
+     * Render --verbose record details as a list of code spans
+     * @param {Object} block - Content block with record details
+     * @returns {Array<string>} Markdown lines (empty unless verbose), followed by a blank line
+     */
+    formatRecordDetailsMarkdown(block) {
+        const detailLines = this.getRecordDetailLines(block);
+        if (detailLines.length === 0) {
+            return [];
         }
+        return [...detailLines.map(line => `- \`${line}\``), ''];
     }
 
     /**
-     * Find sessions for a project directory
-     * @param {string} dirPath - Absolute directory path
-     * @returns {Promise<Array>} Sessions in that project
+     * Get the Markdown heading for a block
+     * Dialogue turns are level-2 headings; everything inside a turn is level-3
+     * @param {Object} block - Content block from MessageParser
+     * @returns {string} Heading line
      */
-    async findByDirectory(dirPath) {
-        // Encode the path to find the project folder
-        const encodedName = SessionResolver.encodeProjectPath(dirPath);
-        const projPath = path.join(this.projectsDir, encodedName);
-
-        // Check if project directory exists
-        if (!await this.isDirectory(projPath)) {
-            return [];
+    getMarkdownHeading(block) {
+        switch (block.type) {
+            case 'human':
+                return '## Human';
+            case 'text':
+                return '## Claude';
+            case 'tool_call':
+                if (block.isServerTool) {
+                    return `### Server tool call: ${block.name}`;
+                }
+                return `### ${block.isSubAgent ? 'Sub-agent call' : 'Tool call'}: ${block.name}`;
+            case 'tool_result':
+                const toolName = this.toolCallMap.get(block.id) || 'Unknown';
+                const kind = block.isError ? 'Tool error' : 'Tool result';
+                return `### ${block.isServerTool ? `Server ${kind.toLowerCase()}` : kind}: ${toolName}`;
+            case 'system':
+                return `### System (${block.level || 'info'})`;
+            case 'summary':
+                return '### Summary';
+            case 'parse_error':
+                return '### Parse error';
+            case 'image':
+                return '### Image';
+            case 'snapshot':
+                return '### File snapshot';
+            case 'queue_operation':
+                return `### Queue (${block.operation})`;
+            case 'unknown':
+                return `### Unknown ${block.kind}: ${block.unknownType}`;
+            default:
+                return `### ${block.type}`;
         }
+    }
+}
 
-        const sessions = await this.scanProjectDir(projPath, encodedName);
+// ================================================================================
+// HTML FORMATTER
+// ================================================================================
 
-        // Sort by modification date (newest first)
-        sessions.sort((a, b) => b.modified - a.modified);
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; background: #f6f7f9; color: #1f2328; }
+main { max-width: 960px; margin: 0 auto; padding: 1.5rem; }
+pre { white-space: pre-wrap; word-break: break-word; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.85rem; margin: 0.5rem 0 0; }
+.toolbar { position: sticky; top: 0; background: #fff; border-bottom: 1px solid #d0d7de; padding: 0.5rem 1.5rem; z-index: 1; }
+.toolbar button { margin-right: 0.5rem; }
+.metadata { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.75rem 1rem; }
+.metadata td:first-child { font-weight: 600; padding-right: 1rem; }
+.block { background: #fff; border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 6px; margin: 0.75rem 0; padding: 0.5rem 0.75rem; }
+.block:target, .block:has(span:target) { box-shadow: 0 0 0 3px #f1c40f; }
+.block > summary, .block > .header { cursor: pointer; font-weight: 600; display: flex; gap: 0.5rem; }
+.block > .header { cursor: default; }
+.header .suffix { margin-left: auto; font-weight: normal; color: #656d76; font-size: 0.85rem; }
+.header a { color: inherit; }
+.human { border-left-color: #2f81f7; }
+.text { border-left-color: #8250df; }
+.thinking { border-left-color: #afb8c1; color: #57606a; }
+.tool_call { border-left-color: #bf8700; }
+.tool_result { border-left-color: #1a7f37; }
+.tool_result.error { border-left-color: #cf222e; background: #fff5f5; }
+.system, .summary, .image, .snapshot, .queue_operation { border-left-color: #656d76; }
+.parse_error { border-left-color: #cf222e; }
+.unknown { border-left-color: #bf8700; background: #fff8c5; }
+.hidden { color: #8c959f; font-style: italic; margin: 0.5rem 0; }
+.details { color: #57606a; font-size: 0.85rem; margin-top: 0.25rem; }
+.record { font-family: ui-monospace, Menlo, Consolas, monospace; }
+.branch-event { display: flex; gap: 0.5rem; margin: 1.5rem 0; padding: 0.5rem 0.75rem; border-top: 3px double #bf8700; border-bottom: 3px double #bf8700; background: #fff8c5; font-weight: 600; }
+.branch-event .suffix { margin-left: auto; font-weight: normal; color: #656d76; font-size: 0.85rem; }
+.sub-agent { margin: 0.75rem 0 0.75rem 1.5rem; padding-left: 0.75rem; border-left: 3px dotted #8250df; }
+.sub-agent > summary { cursor: pointer; font-weight: 600; color: #8250df; }
+pre .add { color: #1a7f37; background: #e6ffec; }
+pre .del { color: #cf222e; background: #ffebe9; }
+.turn { margin: 1.25rem 0; padding-left: 0.75rem; border-left: 2px solid #d8b9ff; }
+.turn-header { display: flex; gap: 0.5rem; font-weight: 600; color: #8250df; }
+.turn-header .suffix { margin-left: auto; font-weight: normal; color: #656d76; font-size: 0.85rem; }
+a.missing { color: #8c959f; text-decoration: line-through; pointer-events: none; }
+`;
 
-        return sessions;
+const HTML_SCRIPT = `
+function setAll(open) {
+    document.querySelectorAll('details.block').forEach(function (d) { d.open = open; });
+}
+document.addEventListener('DOMContentLoaded', function () {
+    // Mark cross-links whose target block is not in the document (e.g. interrupted tool calls)
+    document.querySelectorAll('a.xref').forEach(function (a) {
+        if (!document.getElementById(a.getAttribute('href').slice(1))) a.classList.add('missing');
+    });
+    // Expand a collapsed block when navigating to it
+    function openTarget() {
+        var el = location.hash && document.getElementById(location.hash.slice(1));
+        var details = el && el.closest('details');
+        if (details) details.open = true;
+    }
+    window.addEventListener('hashchange', openTarget);
+    openTarget();
+});
+`;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} text - Text to escape (coerced to string)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders transcripts as a single self-contained HTML page (inline CSS/JS, no CDN).
+ * Thinking and tool blocks are collapsible <details>, tool calls and results link
+ * to each other by tool_use id, and each block is anchored by its L<line> number.
+ */
+class HtmlFormatter extends MessageFormatter {
+    constructor(options = {}) {
+        super(options);
+        // Anchor prefix keeps L<n> ids unique when several sessions (or nested sub-agents) share one page
+        this.anchorPrefix = this.options.anchorPrefix ||
+            (this.options.sessionIndex ? `s${this.options.sessionIndex + 1}-` : '');
+        // Only the first block of each JSONL line gets the L<n> anchor
+        this.anchoredLines = new Set();
+    }
+
+    formatDocumentStart() {
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            '<title>Claude Code transcript</title>',
+            `<style>${HTML_STYLE}</style>`,
+            `<script>${HTML_SCRIPT}</script>`,
+            '</head>',
+            '<body>',
+            '<div class="toolbar">',
+            '<button onclick="setAll(true)">Expand all</button>',
+            '<button onclick="setAll(false)">Collapse all</button>',
+            '</div>',
+            '<main>',
+        ].join('\n');
+    }
+
+    formatDocumentEnd() {
+        return ['</main>', '</body>', '</html>'].join('\n');
+    }
+
+    formatFileHeader(filePath) {
+        return `<section class="session">\n<p class="details">Source: <code>${escapeHtml(filePath)}</code></p>`;
+    }
+
+    formatFileFooter() {
+        return '</section>';
+    }
+
+    formatMetadata(metadata) {
+        const startedTime = metadata.timestamp
+            ? formatLocalIso(metadata.timestamp)
+            : 'unknown';
+
+        const rows = [
+            ['Session ID', metadata.sessionId || 'unknown'],
+            ['Project Path', metadata.projectPath || 'unknown'],
+            ['Started', startedTime],
+            ['Messages', metadata.messageCount],
+            ['Tool Calls', metadata.toolCallCount],
+            ['Has Sub-Agents', metadata.hasSubAgents ? 'Yes' : 'No'],
+            ...MetadataExtractor.getUsageRows(metadata, this.options).map(({ label, value }) => [label, value]),
+        ];
+
+        return [
+            '<table class="metadata">',
+            ...rows.map(([key, value]) => `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(value)}</td></tr>`),
+            '</table>',
+        ].join('\n');
     }
 
     /**
-     * Handle candidates result - apply --latest or return candidates
-     * @param {Array} sessions - Matching sessions
-     * @param {string} input - Original input for error messages
-     * @returns {Object} Resolution result
+     * Build the id attribute for a block's L<n> anchor (first block of a line only)
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {string} ` id="L12"` or empty string
      */
-    handleCandidates(sessions, input) {
-        if (sessions.length === 0) {
-            return { type: RESOLVE_TYPE.NOT_FOUND, input };
+    lineAnchorAttr(lineNumber) {
+        if (lineNumber === null || this.anchoredLines.has(lineNumber)) {
+            return '';
         }
+        this.anchoredLines.add(lineNumber);
+        return ` id="${this.anchorPrefix}L${lineNumber}"`;
+    }
 
-        if (sessions.length === 1 || this.latest) {
-            // Sessions are sorted by modified (newest first)
-            return {
-                type: RESOLVE_TYPE.MATCH,
-                path: sessions[0].path,
-                session: sessions[0],
-            };
+    /**
+     * Build the right-aligned header suffix (timestamp and L<n> link)
+     * @param {Object} message - Parsed message object
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {string} HTML span
+     */
+    formatSuffixHtml(message, lineNumber = null) {
+        const parts = [];
+        if (this.shouldShowTimestamp(message)) {
+            parts.push(escapeHtml(formatLocalIso(message.timestamp)));
         }
-
-        return { type: RESOLVE_TYPE.CANDIDATES, candidates: sessions };
+        if (lineNumber !== null) {
+            parts.push(`<a href="#${this.anchorPrefix}L${lineNumber}">L${lineNumber}</a>`);
+        }
+        return `<span class="suffix">${parts.join(' ')}</span>`;
     }
 
     /**
-     * Resolve a session reference to a file path
-     * @param {string} input - Session ID, file path, or directory path
-     * @returns {Promise<Object>} Resolution result
+     * Render text (with optional truncation note) as a <pre> block
+     * @param {string} text - Text to render
+     * @param {string} label - Content label for the truncation note
+     * @returns {string} HTML
      */
-    async resolve(input) {
-        try {
-            // 1. Direct .jsonl file path?
-            if (input.endsWith('.jsonl')) {
-                const resolved = path.resolve(input);
-                if (await this.fileExists(resolved)) {
-                    return { type: RESOLVE_TYPE.FILE, path: resolved };
-                }
-                return { type: RESOLVE_TYPE.NOT_FOUND, input };
-            }
+    formatPre(text, label) {
+        const [content, note] = this.truncateIfNeeded(text, label);
+        const pre = `<pre>${escapeHtml(content)}</pre>`;
+        return note ? `${pre}\n<p class="details">${escapeHtml(note)}</p>` : pre;
+    }
 
-            // 2. Path with slashes - could be file or directory
-            if (input.includes('/') || input.includes('\\')) {
-                const resolved = path.resolve(input);
+    formatTurn(records, number = null) {
+        const turn = super.formatTurn(records, number);
+        return this.options.outputFormat === 'minimal' ? turn : `<section class="turn">${turn}\n</section>`;
+    }
 
-                // Check if it's a file
-                if (await this.fileExists(resolved)) {
-                    return { type: RESOLVE_TYPE.FILE, path: resolved };
-                }
+    formatTurnContinuation(records) {
+        // The turn's section is already closed, so late records get a section of their own
+        const blocks = super.formatTurnContinuation(records);
+        return this.options.outputFormat === 'minimal' || !blocks ? blocks : `<section class="turn">${blocks}\n</section>`;
+    }
 
-                // Check if it's a directory
-                if (await this.isDirectory(resolved)) {
-                    const sessions = await this.findByDirectory(resolved);
-                    return this.handleCandidates(sessions, input);
-                }
+    formatTurnHeader(info, records) {
+        const parts = [];
+        if (this.options.showTimestamps && info.timestamp) {
+            parts.push(escapeHtml(formatLocalIso(info.timestamp)));
+        }
+        if (info.lineRange) {
+            const firstLine = records[0].lineNumber;
+            parts.push(`<a href="#${this.anchorPrefix}L${firstLine}">${info.lineRange}</a>`);
+        }
+        const label = `${EMOJI.turn} ${MessageFormatter.getTurnLabel(info)}`;
+        const usage = this.formatTurnUsage(info);
+        const usageHtml = usage ? `\n<div class="details">${escapeHtml(usage)}</div>` : '';
+        return `\n<div class="turn-header">${escapeHtml(label)}<span class="suffix">${parts.join(' ')}</span></div>${usageHtml}`;
+    }
 
-                return { type: RESOLVE_TYPE.NOT_FOUND, input };
-            }
+    getNestingIndent() {
+        // Nesting is expressed with wrapper elements; a text prefix would break <pre> blocks
+        return '';
+    }
 
-            // 3. Could be '.' or '..' - check as directory first
-            const resolvedDir = path.resolve(input);
-            if (await this.isDirectory(resolvedDir)) {
-                const sessions = await this.findByDirectory(resolvedDir);
-                return this.handleCandidates(sessions, input);
-            }
+    formatSubAgentStart(agentPath, call) {
+        const name = escapeHtml(path.basename(agentPath));
+        return `<details open class="sub-agent">\n<summary>${EMOJI.subAgent} Sub-agent transcript: ${name} <a class="xref" href="#call-${escapeHtml(call.id)}">← call</a></summary>`;
+    }
 
-            // 4. Treat as session ID prefix
-            const sessions = await this.findByPrefix(input);
-            return this.handleCandidates(sessions, input);
+    formatSubAgentEnd(agentPath, call) {
+        return '</details>';
+    }
 
-        } catch (error) {
-            return { type: RESOLVE_TYPE.ERROR, input, error: error.message };
-        }
+    formatSubAgentNotFound(call) {
+        return `<div class="hidden">${EMOJI.subAgent} [SUB-AGENT TRANSCRIPT NOT FOUND: ${escapeHtml(call.id)}]</div>`;
+    }
+
+    formatBranchEvent(event, message, lineNumber = null) {
+        const label = `${EMOJI[event.kind]} ${BRANCH_TITLES[event.kind]}: ${event.text}`;
+        return `<div class="branch-event ${event.kind}">${escapeHtml(label)} ${this.formatSuffixHtml(message, lineNumber)}</div>`;
     }
 
     /**
-     * Format candidate list for display
-     * Note: Input is sorted newest-first internally; we reverse for display (oldest first, newest at bottom)
-     * @param {Array} candidates - Array of session info objects
-     * @returns {string} Formatted table
+     * Lay out ToolRenderer sections as labels and <pre> blocks (diff lines colored)
+     * @param {Array<Object>} sections - Sections {label, text, language}
+     * @param {string} label - Content label for truncation notes
+     * @returns {string} HTML
      */
-    static formatCandidates(candidates) {
-        const lines = [];
-
-        // Separate regular sessions and agents
-        // Reverse order so newest appears at bottom (more natural for terminal scrollback)
-        const regularSessions = candidates.filter(c => !c.isAgent).reverse();
-        const agentSessions = candidates.filter(c => c.isAgent);
-
-        // Build agent lookup by parent session ID
-        const agentsByParent = new Map();
-        for (const agent of agentSessions) {
-            if (agent.parentSessionId) {
-                if (!agentsByParent.has(agent.parentSessionId)) {
-                    agentsByParent.set(agent.parentSessionId, []);
-                }
-                agentsByParent.get(agent.parentSessionId).push(agent);
+    formatToolSectionsHtml(sections, label) {
+        const parts = [];
+        for (const section of sections) {
+            if (section.label) {
+                parts.push(`<div class="details"><b>${escapeHtml(section.label)}</b></div>`);
+            }
+            if (section.text !== null) {
+                const [content, note] = this.truncateIfNeeded(section.text, label);
+                const body = section.language === 'diff'
+                    ? content.split('\n').map(line => {
+                        const escaped = escapeHtml(line);
+                        if (line.startsWith('+') && !line.startsWith('+++')) return `<span class="add">${escaped}</span>`;
+                        if (line.startsWith('-') && !line.startsWith('---')) return `<span class="del">${escaped}</span>`;
+                        return escaped;
+                    }).join('\n')
+                    : escapeHtml(content);
+                parts.push(`<pre class="${escapeHtml(section.language || 'text')}">${body}</pre>`);
+                if (note) parts.push(`<p class="details">${escapeHtml(note)}</p>`);
             }
         }
+        return parts.join('\n');
+    }
 
-        // Header (MODIFIED column wider for timezone offset)
-        lines.push('  SESSION ID                              PROJECT                                MODIFIED                    SIZE');
-        lines.push('  ' + '─'.repeat(110));
+    formatFilteredIndicator(block, message, lineNumber = null) {
+        let indicatorText;
+        switch (block.type) {
+            case 'thinking':
+                indicatorText = `${block.emoji} [THINKING BLOCK HIDDEN]`;
+                break;
+            case 'tool_call':
+                indicatorText = `${block.emoji} [TOOL CALL HIDDEN: ${block.name}]`;
+                break;
+            case 'tool_result':
+                const status = block.isError ? 'ERROR' : 'SUCCESS';
+                const toolName = this.toolCallMap.get(block.id) || 'Unknown';
+                indicatorText = `${block.emoji} [TOOL RESULT HIDDEN (${status}): ${toolName}]`;
+                break;
+            default:
+                // System messages are fully suppressed when hidden (no indicator)
+                return null;
+        }
 
-        // Format each regular session with its agents
-        for (const session of regularSessions) {
-            const sessionId = session.sessionId.padEnd(36);
-            const projectDir = session.projectDir.substring(0, 38).padEnd(38);
-            const modified = SessionResolver.formatDateTime(session.modified).padEnd(25);
-            const size = SessionResolver.formatSize(session.size).padStart(10);
+        return `<div class="hidden"${this.lineAnchorAttr(lineNumber)}>${escapeHtml(indicatorText)} ${this.formatSuffixHtml(message, lineNumber)}</div>`;
+    }
 
-            lines.push(`  ${sessionId}  ${projectDir}  ${modified}  ${size}`);
+    formatSkippedRecords(skipped) {
+        return `<div class="hidden">${escapeHtml(`${EMOJI.skipped} [${MessageFormatter.getSkippedText(skipped)}]`)}</div>`;
+    }
 
-            // Add child agents indented below
-            const childAgents = agentsByParent.get(session.sessionId) || [];
-            for (const agent of childAgents) {
-                const agentId = ('  └─ ' + agent.sessionId).padEnd(38);
-                const agentModified = SessionResolver.formatDateTime(agent.modified).padEnd(25);
-                const agentSize = SessionResolver.formatSize(agent.size).padStart(10);
-                lines.push(`  ${agentId}  ${''.padEnd(38)}  ${agentModified}  ${agentSize}`);
-            }
+    formatBlock(block, message, lineNumber = null) {
+        const classes = ['block', block.type];
+        if (block.isError) classes.push('error');
+
+        // Tool blocks carry tool_use id anchors for call <-> result cross-links
+        let id;
+        if (block.type === 'tool_call') {
+            id = ` id="call-${escapeHtml(block.id)}"`;
+        } else if (block.type === 'tool_result') {
+            id = ` id="result-${escapeHtml(block.id)}"`;
+        } else {
+            id = this.lineAnchorAttr(lineNumber);
         }
 
-        // Add orphan agents (agents without a parent in the list)
-        const orphanAgents = agentSessions.filter(a =>
-            !regularSessions.some(s => s.sessionId === a.parentSessionId)
-        );
-        for (const agent of orphanAgents) {
-            const agentId = agent.sessionId.padEnd(36);
-            const projectDir = agent.projectDir.substring(0, 38).padEnd(38);
-            const modified = SessionResolver.formatDateTime(agent.modified).padEnd(25);
-            const size = SessionResolver.formatSize(agent.size).padStart(10);
-            lines.push(`  ${agentId}  ${projectDir}  ${modified}  ${size}  (agent)`);
+        const label = `${escapeHtml(block.emoji)} ${escapeHtml(this.getBlockLabel(block))}`;
+        const suffix = this.formatSuffixHtml(message, lineNumber);
+        const detailLines = this.getRecordDetailLines(block);
+        const recordDetails = detailLines.length > 0
+            ? `<div class="details record">${detailLines.map(escapeHtml).join('<br>')}</div>\n`
+            : '';
+        const body = recordDetails + this.formatBlockBody(block, lineNumber);
+
+        // Collapsible blocks: thinking starts closed, tool blocks start open
+        switch (block.type) {
+            case 'thinking':
+                return `<details class="${classes.join(' ')}"${id}>\n<summary>${label}${suffix}</summary>\n${body}\n</details>`;
+            case 'tool_call':
+            case 'tool_result':
+                return `<details open class="${classes.join(' ')}"${id}>\n<summary>${label}${suffix}</summary>\n${body}\n</details>`;
+            default:
+                return `<div class="${classes.join(' ')}"${id}>\n<div class="header">${label}${suffix}</div>\n${body}\n</div>`;
         }
+    }
 
-        lines.push('');
-        const count = regularSessions.length + orphanAgents.length;
-        lines.push(`Found ${count} matching sessions. Use --latest to auto-pick most recent.`);
+    /**
+     * Render the body of a block (everything below its header)
+     * @param {Object} block - Content block from MessageParser
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {string} HTML
+     */
+    formatBlockBody(block, lineNumber = null) {
+        // L<n> anchors for tool blocks live on an inner marker since the block id is the tool id
+        const lineMarker = ['tool_call', 'tool_result'].includes(block.type)
+            ? `<span${this.lineAnchorAttr(lineNumber)}></span>`
+            : '';
 
-        return lines.join('\n');
+        switch (block.type) {
+            case 'thinking':
+                return this.formatPre(block.text, 'thinking block');
+            case 'text':
+                return this.formatPre(block.text, 'response');
+            case 'human':
+                return this.formatPre(block.text, 'message');
+            case 'system':
+                return this.formatPre(block.text, 'system message');
+            case 'summary':
+                return `<pre>${escapeHtml(block.text)}</pre>`;
+            case 'image':
+            case 'snapshot':
+            case 'queue_operation':
+                return this.formatPre(block.text, block.type.replace('_', ' '));
+            case 'unknown':
+                return [
+                    `<div class="details">⚠️ Unrecognized ${block.kind} type <code>${escapeHtml(block.unknownType)}</code> — showing raw JSON</div>`,
+                    this.formatPre(block.text, `unknown ${block.kind}`),
+                ].join('\n');
+
+            case 'tool_call': {
+                const details = [
+                    `Tool: <b>${escapeHtml(block.name)}</b>`,
+                    `ID: <code>${escapeHtml(block.id)}</code>`,
+                    `<a class="xref" href="#result-${escapeHtml(block.id)}">→ result</a>`,
+                ];
+                if (block.isSubAgent) details.push('Type: SUB-AGENT');
+                const inputSections = this.renderToolInput(block);
+                const input = inputSections
+                    ? this.formatToolSectionsHtml(inputSections, 'tool input')
+                    : this.formatPre(JSON.stringify(block.input, null, 2), 'tool input');
+                return `${lineMarker}<div class="details">${details.join(' · ')}</div>\n${input}`;
+            }
+
+            case 'tool_result': {
+                const toolName = this.toolCallMap.get(block.id) || 'Unknown';
+                const details = [
+                    `Tool: <b>${escapeHtml(toolName)}</b>`,
+                    `ID: <code>${escapeHtml(block.id)}</code>`,
+                    `<a class="xref" href="#call-${escapeHtml(block.id)}">← call</a>`,
+                ];
+                if (block.isError) details.push('Status: ERROR');
+                if (block.hasMultipleBlocks) details.push('Content: Multiple blocks');
+                if (block.hasNonTextBlocks) details.push('Note: Contains non-text content (images, etc.)');
+                const resultSections = this.renderToolResult(block, toolName);
+                const result = resultSections
+                    ? this.formatToolSectionsHtml(resultSections, 'tool result')
+                    : this.formatPre(this.tryPrettyPrintJson(block.text || 'null'), 'tool result');
+                return `${lineMarker}<div class="details">${details.join(' · ')}</div>\n${result}`;
+            }
+
+            case 'parse_error': {
+                const lineInfo = block.lineNumber ? `Line ${block.lineNumber}` : 'Unknown line';
+                return [
+                    `<div class="details">${lineInfo}: Failed to parse JSONL — ${escapeHtml(block.error)}</div>`,
+                    `<pre>${escapeHtml(block.preview)}...</pre>`,
+                    '<p class="details">⚠️ This line contains corrupt data and cannot be displayed. The transcript may be incomplete.</p>',
+                ].join('\n');
+            }
+
+            default:
+                return '';
+        }
+    }
+}
+
+/**
+ * Create the formatter for the selected output format
+ * @param {Object} options - Display options (uses options.format and options.outputFormat)
+ * @returns {MessageFormatter} Formatter instance
+ */
+function createFormatter(options = {}) {
+    switch (options.format) {
+        case 'markdown':
+            return new MarkdownFormatter(options);
+        case 'html':
+            return new HtmlFormatter(options);
+        default:
+            return options.outputFormat === 'compact'
+                ? new CompactFormatter(options)
+                : new MessageFormatter(options);
     }
 }
 
 // ================================================================================
-// TRANSCRIPT PROCESSOR (Main Pipeline)
+// METADATA EXTRACTOR
 // ================================================================================
 
-class TranscriptProcessor {
-    constructor(options = {}) {
-        this.options = { ...DEFAULT_OPTIONS, ...options };
-        this.formatter = new MessageFormatter(this.options);
-    }
-
+class MetadataExtractor {
     /**
-     * Process transcript file and output formatted messages
+     * Extract metadata from transcript file
      * @param {string} filePath - Path to JSONL transcript file
-     * @returns {Promise<void>} Resolves when processing is complete
-     * @throws {Error} If file cannot be read, parse errors occur, or stream fails
+     * @returns {Promise<Object>} Metadata object with sessionId, projectPath, timestamp, counts,
+     *          listing details (firstPrompt, summary, gitBranch, models, endTimestamp) and usage
+     * @throws {Error} If file cannot be read or stream errors occur
      */
-    async process(filePath) {
-        // Display metadata if requested
-        if (this.options.showMetadata) {
-            const metadata = await MetadataExtractor.extract(filePath);
-            console.log(MetadataExtractor.format(metadata));
-        }
+    static async extract(filePath) {
+        const metadata = {
+            sessionId: null,
+            projectPath: null,
+            timestamp: null,
+            endTimestamp: null,
+            messageCount: 0,
+            toolCallCount: 0,
+            hasSubAgents: false,
+            firstPrompt: null,
+            summary: null,
+            gitBranch: null,
+            models: [],
+            usage: null,
+            usageByModel: {},
+        };
+
+        // Final usage snapshot per API response (streamed chunks repeat it): requestId -> {model, usage}
+        const usageByRequest = new Map();
 
-        // Process messages
         return new Promise((resolve, reject) => {
             const stream = fs.createReadStream(filePath);
             const rl = readline.createInterface({
@@ -1251,24 +3155,83 @@ class TranscriptProcessor {
                 stream.destroy();
             };
 
-            // Track line number for error reporting
+            let metadataExtracted = false;
             let lineNumber = 0;
 
             rl.on('line', (line) => {
                 lineNumber++;
                 const message = MessageParser.parseLine(line, lineNumber);
 
-                // Always format the message (including parse errors)
-                // Pass lineNumber for L-prefix display in headers
-                const formatted = this.formatter.format(message, lineNumber);
-                if (formatted) {
-                    console.log(formatted);
+                // Session title written by Claude Code (the latest one wins)
+                if (message.type === 'summary' && message.summary) {
+                    metadata.summary = message.summary;
+                }
+
+                // Only process user, assistant, and system messages
+                // (skips parse errors, file-history-snapshot, summary, etc.)
+                if (!['user', 'assistant', 'system'].includes(message.type)) {
+                    return;
+                }
+
+                metadata.messageCount++;
+                if (message.timestamp) {
+                    metadata.endTimestamp = message.timestamp;
+                }
+                if (message.gitBranch) {
+                    metadata.gitBranch = message.gitBranch;
+                }
+
+                if (message.type === 'user' && !metadata.firstPrompt) {
+                    metadata.firstPrompt = MetadataExtractor.getPromptText(message);
+                }
+
+                // Extract from first real message
+                if (!metadataExtracted && message.sessionId) {
+                    metadata.sessionId = message.sessionId;
+                    metadata.timestamp = message.timestamp;
+                    metadata.projectPath = message.cwd;
+                    metadataExtracted = true;
+                }
+
+                // Count tool calls and token usage
+                if (message.type === 'assistant') {
+                    const model = message.message?.model;
+                    // "<synthetic>" marks messages Claude Code generated itself (e.g. errors)
+                    if (model && !model.startsWith('<') && !metadata.models.includes(model)) {
+                        metadata.models.push(model);
+                    }
+
+                    const usage = TokenUsage.fromMessage(message);
+                    if (usage) {
+                        const key = message.requestId || `L${lineNumber}`;
+                        usageByRequest.set(key, { model: message.message.model, usage });
+                    }
+
+                    const content = message.message?.content || [];
+                    for (const block of content) {
+                        if (block.type === 'tool_use') {
+                            metadata.toolCallCount++;
+                            if (MessageParser.isSubAgent(block.name)) {
+                                metadata.hasSubAgents = true;
+                            }
+                        }
+                    }
                 }
             });
 
             rl.on('close', () => {
                 cleanup();
-                resolve();
+
+                // Sum usage per session and per model
+                for (const { model, usage } of usageByRequest.values()) {
+                    const modelKey = model || 'unknown';
+                    metadata.usage = TokenUsage.add(metadata.usage || TokenUsage.empty(), usage);
+                    metadata.usageByModel[modelKey] = TokenUsage.add(
+                        metadata.usageByModel[modelKey] || TokenUsage.empty(), usage
+                    );
+                }
+
+                resolve(metadata);
             });
 
             rl.on('error', (error) => {
@@ -1283,140 +3246,3840 @@ class TranscriptProcessor {
             });
         });
     }
+
+    /**
+     * Get the text a human typed in a user record
+     * Meta records (caveats, hook context), tool results and slash-command wrappers don't count
+     * @param {Object} message - Parsed user record
+     * @returns {string|null} Prompt text or null if the record isn't a typed prompt
+     */
+    static getPromptText(message) {
+        if (message.isMeta) {
+            return null;
+        }
+        const content = message.message?.content;
+        const text = typeof content === 'string'
+            ? content
+            : (Array.isArray(content) ? content.find(block => block.type === 'text')?.text : null);
+        if (!text || /^\s*<(command-|local-command-)/.test(text)) {
+            return null;
+        }
+        return text.trim();
+    }
+
+    /**
+     * Build the token usage (and optional cost) rows of the metadata block
+     * Each formatter lays the rows out itself (aligned lines, Markdown or HTML table)
+     * @param {Object} metadata - Metadata object from extract()
+     * @param {Object} options - Display options (showUsage, showCost, pricing)
+     * @returns {Array<Object>} Rows {label, value, detail} (detail: per-model cost under Est. Cost);
+     *   empty when hidden or the session has no usage data
+     */
+    static getUsageRows(metadata, options = {}) {
+        if (!metadata.usage || options.showUsage === false) {
+            return [];
+        }
+        const pricing = options.showCost ? (options.pricing || MODEL_PRICING) : null;
+
+        const rows = [{ label: 'Tokens', value: TokenUsage.format(metadata.usage), detail: false }];
+        if (pricing) {
+            const costs = Object.entries(metadata.usageByModel).map(([model, usage]) => ({
+                model,
+                cost: TokenUsage.estimateCost(model, usage, pricing),
+            }));
+            const known = costs.filter(c => c.cost !== null);
+            const total = known.reduce((sum, c) => sum + c.cost, 0);
+            const unknown = costs.filter(c => c.cost === null).map(c => c.model);
+
+            rows.push({
+                label: 'Est. Cost',
+                value: (known.length ? `~${TokenUsage.formatCost(total)}` : 'n/a') +
+                    (unknown.length ? ` (no pricing for: ${unknown.join(', ')})` : ''),
+                detail: false,
+            });
+            if (costs.length > 1) {
+                for (const { model, cost } of costs) {
+                    rows.push({ label: model, value: TokenUsage.formatCost(cost), detail: true });
+                }
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Format metadata as human-readable string
+     * @param {Object} metadata - Metadata object from extract()
+     * @param {ColorTheme} theme - Color theme (default: no color)
+     * @param {Object} options - Display options for the usage lines (showUsage, showCost, pricing)
+     * @returns {string} Formatted metadata display with session info and counts
+     */
+    static format(metadata, theme = new ColorTheme(false), options = {}) {
+        const startedTime = metadata.timestamp
+            ? formatLocalIso(metadata.timestamp)
+            : 'unknown';
+        const separator = theme.paint('separator', DISPLAY.metadataSeparator);
+
+        const lines = [
+            '',
+            theme.paint('heading', `${EMOJI.metadata} SESSION METADATA`),
+            separator,
+            `Session ID:     ${metadata.sessionId || 'unknown'}`,
+            `Project Path:   ${metadata.projectPath || 'unknown'}`,
+            `Started:        ${startedTime}`,
+            `Messages:       ${metadata.messageCount}`,
+            `Tool Calls:     ${metadata.toolCallCount}`,
+            `Has Sub-Agents: ${metadata.hasSubAgents ? 'Yes' : 'No'}`,
+            ...MetadataExtractor.getUsageRows(metadata, options).map(({ label, value, detail }) =>
+                (detail ? `  ${label}: ` : `${label}:`.padEnd(16)) + value),
+            separator,
+            '',
+        ];
+        return lines.join('\n');
+    }
 }
 
 // ================================================================================
-// API EXPORTER
+// SESSION INDEX
 // ================================================================================
 
 /**
- * Exports transcript as Anthropic API-compatible messages array.
- * Reconstructs streaming chunks into complete messages.
+ * On-disk cache of per-file facts that are expensive to recompute on every lookup:
+ * an agent's parent session ID, a session's start time and its --list details.
+ *
+ * Entries are keyed by absolute path and only trusted while the file's mtime and size
+ * are unchanged, so a growing session is simply re-read. Entries of deleted files are
+ * pruned whenever their project folder is scanned. --reindex ignores the stored index
+ * and rebuilds it from scratch.
  */
-class ApiExporter {
+class SessionIndex {
     /**
-     * Extract API messages from transcript file
-     * @param {string} filePath - Path to JSONL transcript file
-     * @returns {Promise<Object>} Object with messages array and metadata
+     * Create a SessionIndex instance (call load() before use)
+     * @param {string} filePath - Index file location (default: SessionIndex.defaultPath())
+     * @param {Object} options - Index options
+     * @param {boolean} options.reset - Discard the stored index and rebuild it (--reindex)
      */
-    async extract(filePath) {
-        return new Promise((resolve, reject) => {
-            const stream = fs.createReadStream(filePath);
-            const rl = readline.createInterface({
-                input: stream,
-                crlfDelay: Infinity,
-            });
+    constructor(filePath = SessionIndex.defaultPath(), options = {}) {
+        this.filePath = filePath;
+        this.reset = options.reset || false;
+        this.entries = new Map();
+        this.loaded = false;
+        this.dirty = false;
+        this.unwritable = false;
+    }
 
-            // Cleanup function
-            const cleanup = () => {
-                rl.close();
-                stream.destroy();
+    /**
+     * Get the default index location
+     * @returns {string} $XDG_CACHE_HOME/cc-view-transcript/index.json (XDG default: ~/.cache)
+     */
+    static defaultPath() {
+        const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+        return path.join(cacheHome, SESSION_INDEX.dirName, SESSION_INDEX.fileName);
+    }
+
+    /**
+     * Read the index file (once; later calls are no-ops)
+     * A missing, unreadable or outdated index starts empty - it's only a cache
+     * @returns {Promise<SessionIndex>} This index
+     */
+    async load() {
+        if (this.loaded) {
+            return this;
+        }
+        this.loaded = true;
+
+        if (this.reset) {
+            // Rewrite the file even if nothing gets indexed, so stale entries are gone
+            this.dirty = true;
+            return this;
+        }
+
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            if (data.version === SESSION_INDEX.version && data.entries) {
+                this.entries = new Map(Object.entries(data.entries));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Warning: Ignoring unreadable session index ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Get the cached entry for a session file if the file hasn't changed since
+     * @param {Object} session - Session info with path, modified (Date) and size
+     * @returns {Object|null} Entry (mtime, size and cached fields) or null if missing or stale
+     */
+    get(session) {
+        const entry = this.entries.get(session.path);
+        if (entry && session.modified && entry.mtime === session.modified.getTime() && entry.size === session.size) {
+            return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Store fields for a session file (a stale entry is replaced)
+     * @param {Object} session - Session info with path, modified (Date) and size
+     * @param {Object} fields - JSON-serializable fields to store
+     */
+    update(session, fields) {
+        if (!session.modified) {
+            return;
+        }
+        const entry = this.get(session) || { mtime: session.modified.getTime(), size: session.size };
+        Object.assign(entry, fields);
+        this.entries.set(session.path, entry);
+        this.dirty = true;
+    }
+
+    /**
+     * Drop entries of files that no longer exist in a directory
+     * @param {string} dirPath - Directory that was just listed
+     * @param {Array<string>} existingPaths - Paths of the .jsonl files it contains
+     * @param {boolean} recursive - Also cover subdirectories (e.g. whole deleted project folders)
+     */
+    prune(dirPath, existingPaths, recursive = false) {
+        const existing = new Set(existingPaths);
+        const covers = filePath => (recursive
+            ? filePath.startsWith(dirPath + path.sep)
+            : path.dirname(filePath) === dirPath);
+
+        for (const filePath of this.entries.keys()) {
+            if (covers(filePath) && !existing.has(filePath)) {
+                this.entries.delete(filePath);
+                this.dirty = true;
+            }
+        }
+    }
+
+    /**
+     * Write the index if it changed
+     * Writes to a temporary file and renames it, so concurrent runs never see a partial index.
+     * Failures only warn: the viewer works without a cache.
+     * @returns {Promise<void>} Resolves when written (or skipped)
+     */
+    async save() {
+        // After a failed write, stay quiet for the rest of the run
+        if (!this.dirty || this.unwritable) {
+            return;
+        }
+
+        const data = { version: SESSION_INDEX.version, entries: Object.fromEntries(this.entries) };
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+            await fs.promises.rename(tmpPath, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            this.unwritable = true;
+            console.error(`Warning: Cannot write session index ${this.filePath}: ${error.message}`);
+            await fs.promises.unlink(tmpPath).catch(() => {});
+        }
+    }
+}
+
+// ================================================================================
+// SESSION RESOLVER
+// ================================================================================
+
+/**
+ * Resolves session identifiers to transcript file paths.
+ * Handles: file paths, full UUIDs, prefix matches, directory lookups.
+ */
+class SessionResolver {
+    /**
+     * Create a SessionResolver instance
+     * @param {Object} options - Resolution options
+     * @param {boolean} options.includeAgents - Include agent sessions in results (default: true)
+     * @param {boolean} options.latest - Auto-pick most recent on multiple matches
+     * @param {Date|null} options.since - Only list sessions active at or after this time
+     * @param {Date|null} options.until - Only list sessions active at or before this time
+     * @param {boolean} options.reindex - Rebuild the session index instead of trusting it
+     * @param {Array<string>|null} options.projectsDirs - Project roots to search (--projects-dir)
+     */
+    constructor(options = {}) {
+        this.includeAgents = options.includeAgents !== false;
+        this.latest = options.latest || false;
+        this.since = options.since || null;
+        this.until = options.until || null;
+        this.projectsDirs = SessionResolver.getProjectsDirs(options.projectsDirs);
+        this.unreadableRoots = new Set();  // Roots already warned about by scanSessions()
+        this.index = new SessionIndex(SessionIndex.defaultPath(), { reset: options.reindex });
+    }
+
+    /**
+     * Check if a path exists as a file
+     * @param {string} filePath - Path to check
+     * @returns {Promise<boolean>} True if file exists
+     * @throws {Error} For permission errors, filesystem errors, etc.
+     */
+    async fileExists(filePath) {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return stats.isFile();
+        } catch (error) {
+            // ENOENT = genuinely doesn't exist - return false
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            // Other errors (EACCES, EMFILE, EIO, etc.) should propagate
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a path exists as a directory
+     * @param {string} dirPath - Path to check
+     * @returns {Promise<boolean>} True if directory exists
+     * @throws {Error} For permission errors, filesystem errors, etc.
+     */
+    async isDirectory(dirPath) {
+        try {
+            const stats = await fs.promises.stat(dirPath);
+            return stats.isDirectory();
+        } catch (error) {
+            // ENOENT = genuinely doesn't exist - return false
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            // Other errors (EACCES, EMFILE, EIO, etc.) should propagate
+            throw error;
+        }
+    }
+
+    /**
+     * Determine the project roots to search
+     * Explicit --projects-dir roots replace the default; otherwise Claude Code's own location
+     * is used: $CLAUDE_CONFIG_DIR/projects, or ~/.claude/projects
+     * @param {Array<string>|null} projectsDirs - Roots given on the command line
+     * @returns {Array<string>} Absolute root paths (deduplicated, in order)
+     */
+    static getProjectsDirs(projectsDirs = null) {
+        if (projectsDirs && projectsDirs.length > 0) {
+            return [...new Set(projectsDirs.map(dir => path.resolve(dir)))];
+        }
+        const configDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+        return [path.join(path.resolve(configDir), 'projects')];
+    }
+
+    /**
+     * Encode a directory path to project folder name
+     * Follows Claude Code's encoding: all non-alphanumeric chars become '-'
+     * @param {string} dirPath - Absolute directory path
+     * @returns {string} Encoded project folder name
+     */
+    static encodeProjectPath(dirPath) {
+        // Replace all non-alphanumeric characters with hyphens
+        return dirPath.replace(/[^a-zA-Z0-9]/g, '-');
+    }
+
+    /**
+     * Format file size for human-readable display
+     * @param {number} bytes - File size in bytes
+     * @returns {string} Formatted size (e.g., "1.2 MB")
+     */
+    static formatSize(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+
+    /**
+     * Format datetime for display (local time with timezone offset)
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted local date with offset (YYYY-MM-DD HH:MM +HH:MM)
+     */
+    static formatDateTime(date) {
+        return formatLocalShort(date);
+    }
+
+    /**
+     * Read the mother session ID from an agent file
+     * @param {string} agentFilePath - Path to agent .jsonl file
+     * @returns {Promise<string|null>} Mother session ID or null (with warning on error)
+     */
+    async getAgentParentId(agentFilePath) {
+        let stream;
+        let rl;
+        let result = null;
+
+        try {
+            stream = fs.createReadStream(agentFilePath, { encoding: 'utf8' });
+            rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+            for await (const line of rl) {
+                try {
+                    const data = JSON.parse(line);
+                    if (data.sessionId) {
+                        result = data.sessionId;
+                        break; // Found it - exit loop, cleanup in finally
+                    }
+                } catch {
+                    // Skip lines that aren't valid JSON - continue scanning
+                }
+            }
+        } catch (error) {
+            // Log warning but don't fail - we're in a scan loop
+            const filename = path.basename(agentFilePath);
+            console.error(`Warning: Could not read agent parent ID from ${filename}: ${error.message}`);
+        } finally {
+            // Ensure streams are always cleaned up
+            if (rl) rl.close();
+            if (stream) stream.destroy();
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the timestamp of the first timestamped record in a session file
+     * @param {string} filePath - Path to session .jsonl file
+     * @returns {Promise<Date|null>} Start of the session or null if none found (with warning on error)
+     */
+    async getSessionStart(filePath) {
+        let stream = null;
+        let rl = null;
+        let result = null;
+
+        try {
+            stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+            rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+            for await (const line of rl) {
+                try {
+                    const data = JSON.parse(line);
+                    const time = data.timestamp ? new Date(data.timestamp) : null;
+                    if (time && !isNaN(time.getTime())) {
+                        result = time;
+                        break; // Found it - exit loop, cleanup in finally
+                    }
+                } catch {
+                    // Skip lines that aren't valid JSON - continue scanning
+                }
+            }
+        } catch (error) {
+            // Log warning but don't fail - we're in a scan loop
+            console.error(`Warning: Could not read start time from ${path.basename(filePath)}: ${error.message}`);
+        } finally {
+            // Ensure streams are always cleaned up
+            if (rl) rl.close();
+            if (stream) stream.destroy();
+        }
+
+        return result;
+    }
+
+    /**
+     * Keep sessions whose activity window (first record to last modification) overlaps --since/--until
+     * @param {Array} sessions - Session info objects
+     * @returns {Promise<Array>} Sessions active in the range (all sessions if no range is set)
+     */
+    async filterByTime(sessions) {
+        if (!this.since && !this.until) {
+            return sessions;
+        }
+
+        // Cheap check first: a session last written before --since can't overlap
+        const candidates = sessions.filter(session => !this.since || session.modified >= this.since);
+        if (!this.until) {
+            return candidates;
+        }
+
+        await this.index.load();
+        const starts = await mapWithConcurrency(candidates, SESSION_INDEX.scanConcurrency,
+            session => this.getIndexedStart(session));
+        await this.index.save();
+
+        return candidates.filter((session, i) => (starts[i] || session.modified) <= this.until);
+    }
+
+    /**
+     * Get a session's start time from the index, reading (and caching) it if needed
+     * @param {Object} session - Session info with path, modified and size
+     * @returns {Promise<Date|null>} Start of the session or null if none found
+     */
+    async getIndexedStart(session) {
+        const cached = this.index.get(session);
+        if (cached && cached.start) {
+            return new Date(cached.start);
+        }
+        const start = await this.getSessionStart(session.path);
+        if (start) {
+            this.index.update(session, { start: start.toISOString() });
+        }
+        return start;
+    }
+
+    /**
+     * List the .jsonl files of a directory and prune index entries of deleted ones
+     * @param {string} dirPath - Directory to list
+     * @param {boolean} quietIfMissing - Don't warn if the directory doesn't exist
+     * @returns {Promise<Object>} {filenames, subdirs} (subdirs: names of subdirectories)
+     */
+    async listDir(dirPath, quietIfMissing = true) {
+        let dirents;
+        try {
+            dirents = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        } catch (error) {
+            // ENOENT = directory doesn't exist (expected for non-existent project paths)
+            if (error.code !== 'ENOENT' || !quietIfMissing) {
+                console.error(`Warning: Cannot scan ${dirPath}: ${error.message}`);
+            }
+            return { filenames: [], subdirs: [] };
+        }
+
+        const filenames = dirents.filter(d => d.isFile() && d.name.endsWith('.jsonl')).map(d => d.name);
+        this.index.prune(dirPath, filenames.map(filename => path.join(dirPath, filename)));
+
+        return { filenames, subdirs: dirents.filter(d => d.isDirectory()).map(d => d.name) };
+    }
+
+    /**
+     * List the session files of a project directory
+     * Sub-agent transcripts are found in both layouts Claude Code has used:
+     * flat agent-*.jsonl files next to the sessions, and <session-id>/subagents/*.jsonl
+     * folders (which name the parent session)
+     * @param {string} projectDirPath - Full path to project directory
+     * @param {string} projectDirName - Encoded project folder name
+     * @returns {Promise<Array>} File descriptors ({path, filename, projectDir, isAgent, parentSessionId})
+     */
+    async listProjectFiles(projectDirPath, projectDirName) {
+        const { filenames, subdirs } = await this.listDir(projectDirPath);
+
+        const files = filenames.map(filename => ({
+            path: path.join(projectDirPath, filename),
+            filename,
+            projectDir: projectDirName,
+            isAgent: filename.startsWith('agent-'),
+            parentSessionId: null,
+        }));
+
+        for (const subdir of subdirs) {
+            const agentsDir = path.join(projectDirPath, subdir, 'subagents');
+            const { filenames: agentFiles } = await this.listDir(agentsDir);
+            for (const filename of agentFiles) {
+                files.push({
+                    path: path.join(agentsDir, filename),
+                    filename,
+                    projectDir: projectDirName,
+                    isAgent: true,
+                    parentSessionId: subdir,
+                });
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Stat session files and build session info objects
+     * Runs with bounded parallelism; agent parent IDs come from the index when the file is unchanged
+     * @param {Array} files - File descriptors from listProjectFiles
+     * @returns {Promise<Array>} Array of session info objects
+     */
+    async statSessions(files) {
+        // Skip agent files unless includeAgents is set
+        const wanted = files.filter(file => this.includeAgents || !file.isAgent);
+
+        const sessions = await mapWithConcurrency(wanted, SESSION_INDEX.scanConcurrency, async file => {
+            const isAgent = file.isAgent;
+
+            try {
+                const stats = await fs.promises.stat(file.path);
+
+                const sessionInfo = {
+                    path: file.path,
+                    sessionId: file.filename.replace('.jsonl', ''),
+                    projectDir: file.projectDir,
+                    modified: stats.mtime,
+                    size: stats.size,
+                    isAgent: isAgent,
+                    parentSessionId: file.parentSessionId,
+                };
+
+                // Get parent session ID for flat agent files (only found IDs are cached, so read errors resurface)
+                if (isAgent && !sessionInfo.parentSessionId) {
+                    const cached = this.index.get(sessionInfo);
+                    if (cached && cached.parentSessionId) {
+                        sessionInfo.parentSessionId = cached.parentSessionId;
+                    } else {
+                        sessionInfo.parentSessionId = await this.getAgentParentId(file.path);
+                        if (sessionInfo.parentSessionId) {
+                            this.index.update(sessionInfo, { parentSessionId: sessionInfo.parentSessionId });
+                        }
+                    }
+                }
+
+                return sessionInfo;
+            } catch (error) {
+                // ENOENT = file deleted between readdir and stat (race condition, expected)
+                if (error.code !== 'ENOENT') {
+                    console.error(`Warning: Cannot read session ${file.filename}: ${error.message}`);
+                }
+                return null;
+            }
+        });
+
+        return sessions.filter(Boolean);
+    }
+
+    /**
+     * Scan a project directory for session files
+     * @param {string} projectDirPath - Full path to project directory
+     * @param {string} projectDirName - Encoded project folder name
+     * @returns {Promise<Array>} Array of session info objects
+     */
+    async scanProjectDir(projectDirPath, projectDirName) {
+        await this.index.load();
+        const files = await this.listProjectFiles(projectDirPath, projectDirName);
+        const sessions = await this.statSessions(files);
+        await this.index.save();
+
+        return sessions;
+    }
+
+    /**
+     * Scan all project directories for session files
+     * A root that can't be read is skipped with a warning, so the other roots stay usable
+     * @returns {Promise<Array>} Array of session info objects
+     * @throws {Error} If none of the projects directories can be read
+     */
+    async scanSessions() {
+        const projectDirs = [];
+        const readableRoots = [];
+        const failures = [];
+        for (const root of this.projectsDirs) {
+            try {
+                const entries = await fs.promises.readdir(root, { withFileTypes: true });
+                for (const entry of entries.filter(e => e.isDirectory())) {
+                    projectDirs.push({ root, name: entry.name });
+                }
+                readableRoots.push(root);
+            } catch (error) {
+                failures.push({ root, error });
+            }
+        }
+        if (readableRoots.length === 0) {
+            throw new Error(`Cannot access projects directory: ${this.projectsDirs.join(', ')}`);
+        }
+        for (const { root, error } of failures) {
+            // Once per root, although several inputs may each trigger a scan
+            if (!this.unreadableRoots.has(root)) {
+                this.unreadableRoots.add(root);
+                console.error(`Warning: Cannot access projects directory ${root}: ${error.message}`);
+            }
+        }
+
+        await this.index.load();
+
+        // One flat list, so the concurrency bound holds across all projects
+        const fileLists = await mapWithConcurrency(projectDirs, SESSION_INDEX.scanConcurrency, projDir =>
+            this.listProjectFiles(path.join(projDir.root, projDir.name), projDir.name));
+        const files = fileLists.flat();
+        // Unreadable roots keep their index entries (they may only be unmounted)
+        for (const root of readableRoots) {
+            this.index.prune(root, files.map(file => file.path), true);
+        }
+
+        const sessions = await this.statSessions(files);
+        await this.index.save();
+
+        // Sort by modification date (newest first)
+        sessions.sort((a, b) => b.modified - a.modified);
+
+        return sessions;
+    }
+
+    /**
+     * Find sessions matching a prefix
+     * @param {string} prefix - Session ID prefix to match
+     * @returns {Promise<Array>} Matching sessions
+     */
+    async findByPrefix(prefix) {
+        // If searching for agent- prefix, temporarily include agents in scan
+        const searchingForAgent = prefix.toLowerCase().startsWith('agent-');
+        const originalIncludeAgents = this.includeAgents;
+        if (searchingForAgent) {
+            this.includeAgents = true;
+        }
+
+        try {
+            const sessions = await this.scanSessions();
+            const normalizedPrefix = prefix.toLowerCase();
+
+            return sessions.filter(s =>
+                s.sessionId.toLowerCase().startsWith(normalizedPrefix)
+            );
+        } finally {
+            // Restore original setting
+            this.includeAgents = originalIncludeAgents;
+        }
+    }
+
+    /**
+     * Find sessions for a project directory
+     * @param {string} dirPath - Absolute directory path
+     * @returns {Promise<Array>} Sessions in that project
+     */
+    async findByDirectory(dirPath) {
+        // Encode the path to find the project folder (in every root that has one)
+        const encodedName = SessionResolver.encodeProjectPath(dirPath);
+        const sessions = [];
+
+        for (const root of this.projectsDirs) {
+            const projPath = path.join(root, encodedName);
+
+            // Check if project directory exists
+            if (await this.isDirectory(projPath)) {
+                sessions.push(...await this.scanProjectDir(projPath, encodedName));
+            }
+        }
+
+        // Sort by modification date (newest first)
+        sessions.sort((a, b) => b.modified - a.modified);
+
+        return sessions;
+    }
+
+    /**
+     * Handle candidates result - apply --latest or return candidates
+     * @param {Array} sessions - Matching sessions
+     * @param {string} input - Original input for error messages
+     * @returns {Promise<Object>} Resolution result
+     */
+    async handleCandidates(sessions, input) {
+        if (sessions.length === 0) {
+            return { type: RESOLVE_TYPE.NOT_FOUND, input };
+        }
+
+        // --since/--until narrow listings; a unique match is shown regardless (its records are filtered instead)
+        if (sessions.length > 1) {
+            sessions = await this.filterByTime(sessions);
+            if (sessions.length === 0) {
+                return { type: RESOLVE_TYPE.NOT_FOUND, input, reason: 'no session active in the --since/--until range' };
+            }
+        }
+
+        if (sessions.length === 1 || this.latest) {
+            // Sessions are sorted by modified (newest first)
+            return {
+                type: RESOLVE_TYPE.MATCH,
+                path: sessions[0].path,
+                session: sessions[0],
+            };
+        }
+
+        return { type: RESOLVE_TYPE.CANDIDATES, candidates: sessions };
+    }
+
+    /**
+     * Resolve a session reference to a file path
+     * @param {string} input - Session ID, file path, or directory path
+     * @returns {Promise<Object>} Resolution result
+     */
+    async resolve(input) {
+        try {
+            // 1. Direct .jsonl file path?
+            if (input.endsWith('.jsonl')) {
+                const resolved = path.resolve(input);
+                if (await this.fileExists(resolved)) {
+                    return { type: RESOLVE_TYPE.FILE, path: resolved };
+                }
+                return { type: RESOLVE_TYPE.NOT_FOUND, input };
+            }
+
+            // 2. Path with slashes - could be file or directory
+            if (input.includes('/') || input.includes('\\')) {
+                const resolved = path.resolve(input);
+
+                // Check if it's a file
+                if (await this.fileExists(resolved)) {
+                    return { type: RESOLVE_TYPE.FILE, path: resolved };
+                }
+
+                // Check if it's a directory
+                if (await this.isDirectory(resolved)) {
+                    const sessions = await this.findByDirectory(resolved);
+                    return this.handleCandidates(sessions, input);
+                }
+
+                return { type: RESOLVE_TYPE.NOT_FOUND, input };
+            }
+
+            // 3. Could be '.' or '..' - check as directory first
+            const resolvedDir = path.resolve(input);
+            if (await this.isDirectory(resolvedDir)) {
+                const sessions = await this.findByDirectory(resolvedDir);
+                return this.handleCandidates(sessions, input);
+            }
+
+            // 4. Treat as session ID prefix
+            const sessions = await this.findByPrefix(input);
+            return this.handleCandidates(sessions, input);
+
+        } catch (error) {
+            return { type: RESOLVE_TYPE.ERROR, input, error: error.message };
+        }
+    }
+
+    /**
+     * Format candidate list for display
+     * Note: Input is sorted newest-first internally; we reverse for display (oldest first, newest at bottom)
+     * @param {Array} candidates - Array of session info objects
+     * @returns {string} Formatted table
+     */
+    static formatCandidates(candidates) {
+        const lines = [];
+
+        // Separate regular sessions and agents
+        // Reverse order so newest appears at bottom (more natural for terminal scrollback)
+        const regularSessions = candidates.filter(c => !c.isAgent).reverse();
+        const agentSessions = candidates.filter(c => c.isAgent);
+
+        // Build agent lookup by parent session ID
+        const agentsByParent = new Map();
+        for (const agent of agentSessions) {
+            if (agent.parentSessionId) {
+                if (!agentsByParent.has(agent.parentSessionId)) {
+                    agentsByParent.set(agent.parentSessionId, []);
+                }
+                agentsByParent.get(agent.parentSessionId).push(agent);
+            }
+        }
+
+        // Header (MODIFIED column wider for timezone offset)
+        lines.push('  SESSION ID                              PROJECT                                MODIFIED                    SIZE');
+        lines.push('  ' + '─'.repeat(110));
+
+        // Format each regular session with its agents
+        for (const session of regularSessions) {
+            const sessionId = session.sessionId.padEnd(36);
+            const projectDir = session.projectDir.substring(0, 38).padEnd(38);
+            const modified = SessionResolver.formatDateTime(session.modified).padEnd(25);
+            const size = SessionResolver.formatSize(session.size).padStart(10);
+
+            lines.push(`  ${sessionId}  ${projectDir}  ${modified}  ${size}`);
+
+            // Add child agents indented below
+            const childAgents = agentsByParent.get(session.sessionId) || [];
+            for (const agent of childAgents) {
+                const agentId = ('  └─ ' + agent.sessionId).padEnd(38);
+                const agentModified = SessionResolver.formatDateTime(agent.modified).padEnd(25);
+                const agentSize = SessionResolver.formatSize(agent.size).padStart(10);
+                lines.push(`  ${agentId}  ${''.padEnd(38)}  ${agentModified}  ${agentSize}`);
+            }
+        }
+
+        // Add orphan agents (agents without a parent in the list)
+        const orphanAgents = agentSessions.filter(a =>
+            !regularSessions.some(s => s.sessionId === a.parentSessionId)
+        );
+        for (const agent of orphanAgents) {
+            const agentId = agent.sessionId.padEnd(36);
+            const projectDir = agent.projectDir.substring(0, 38).padEnd(38);
+            const modified = SessionResolver.formatDateTime(agent.modified).padEnd(25);
+            const size = SessionResolver.formatSize(agent.size).padStart(10);
+            lines.push(`  ${agentId}  ${projectDir}  ${modified}  ${size}  (agent)`);
+        }
+
+        lines.push('');
+        const count = regularSessions.length + orphanAgents.length;
+        lines.push(`Found ${count} matching sessions. Use --latest to auto-pick most recent.`);
+
+        return lines.join('\n');
+    }
+}
+
+// ================================================================================
+// SESSION LISTER
+// ================================================================================
+
+/**
+ * Builds the --list overview of sessions: one row per session with its first prompt,
+ * title, counts, branch, model, start time, duration and real project path
+ */
+class SessionLister {
+    /**
+     * Read the listing details of one session file
+     * @param {string} filePath - Path to session .jsonl file
+     * @returns {Promise<Object>} JSON-serializable details (as stored in the session index)
+     * @throws {Error} If file cannot be read
+     */
+    static async readDetails(filePath) {
+        const metadata = await MetadataExtractor.extract(filePath);
+
+        return {
+            // Real path from the records' cwd; the encoded folder name is lossy ('-' for '/', '.', '_', ...)
+            project: metadata.projectPath || null,
+            started: metadata.timestamp || null,
+            ended: metadata.endTimestamp || null,
+            messageCount: metadata.messageCount,
+            toolCallCount: metadata.toolCallCount,
+            gitBranch: metadata.gitBranch,
+            models: metadata.models,
+            summary: metadata.summary,
+            firstPrompt: metadata.firstPrompt,
+        };
+    }
+
+    /**
+     * Read listing details for sessions
+     * Unchanged sessions are served from the index; the rest are read with bounded parallelism
+     * @param {Array} sessions - Session info objects (from SessionResolver)
+     * @param {SessionIndex|null} index - Index to read and update (null reads every file)
+     * @returns {Promise<Array<Object>>} Listing entries (unreadable sessions are skipped with a warning)
+     */
+    static async collect(sessions, index = null) {
+        if (index) {
+            await index.load();
+        }
+
+        const entries = await mapWithConcurrency(sessions, SESSION_INDEX.scanConcurrency, async session => {
+            let details = index?.get(session)?.listing;
+            if (!details) {
+                try {
+                    details = await SessionLister.readDetails(session.path);
+                } catch (error) {
+                    console.error(`Warning: Cannot read session ${session.path}: ${error.message}`);
+                    return null;
+                }
+                index?.update(session, { listing: details });
+            }
+
+            const started = details.started ? new Date(details.started) : null;
+            const ended = details.ended ? new Date(details.ended) : null;
+
+            return {
+                ...details,
+                sessionId: session.sessionId,
+                path: session.path,
+                isAgent: session.isAgent || false,
+                parentSessionId: session.parentSessionId || null,
+                projectDir: session.projectDir || null,
+                started,
+                ended,
+                durationMs: started && ended ? ended - started : null,
+                modified: session.modified || null,
+                size: session.size ?? null,
+            };
+        });
+
+        if (index) {
+            await index.save();
+        }
+
+        return entries.filter(Boolean);
+    }
+
+    /**
+     * Shorten a model ID for the MODEL column
+     * Example: claude-sonnet-4-5-20250929 -> sonnet-4-5
+     * @param {string} model - Full model ID
+     * @returns {string} Short model name
+     */
+    static shortModel(model) {
+        return model.replace(/^claude-/, '').replace(/-\d{8}$/, '');
+    }
+
+    /**
+     * Collapse whitespace and cut text to one listing line
+     * @param {string} text - Text to clip
+     * @param {number} maxLength - Maximum length including the ellipsis
+     * @returns {string} Single-line text
+     */
+    static clip(text, maxLength) {
+        const line = text.replace(/\s+/g, ' ').trim();
+        return line.length > maxLength ? line.substring(0, maxLength - 1) + '…' : line;
+    }
+
+    /**
+     * Format one table row (plus its title and prompt lines)
+     * @param {Object} entry - Listing entry
+     * @param {string} id - Text for the SESSION column
+     * @param {string} indent - Indent for the title/prompt lines
+     * @returns {Array<string>} Output lines
+     */
+    static formatEntry(entry, id, indent) {
+        const started = entry.started ? formatLocalShort(entry.started) : '-';
+        const models = entry.models.map(model => SessionLister.shortModel(model)).join(',') || '-';
+        const lines = [[
+            id.padEnd(18),
+            started.padEnd(23),
+            formatDuration(entry.durationMs).padStart(8),
+            String(entry.messageCount).padStart(5),
+            String(entry.toolCallCount).padStart(5),
+            SessionLister.clip(entry.gitBranch || '-', 20).padEnd(20),
+            SessionLister.clip(models, 18).padEnd(18),
+            entry.project || entry.projectDir || '-',
+        ].join('  ')];
+
+        if (entry.summary) {
+            lines.push(`${indent}${EMOJI.metadata} ${SessionLister.clip(entry.summary, 100)}`);
+        }
+        if (entry.firstPrompt) {
+            lines.push(`${indent}${EMOJI.human} ${SessionLister.clip(entry.firstPrompt, 100)}`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Format entries as a table
+     * Sessions are listed oldest first (newest at the bottom, like formatCandidates),
+     * with their agents nested below
+     * @param {Array<Object>} entries - Listing entries
+     * @returns {string} Formatted table
+     */
+    static format(entries) {
+        const byStart = (a, b) => (a.started || a.modified || 0) - (b.started || b.modified || 0);
+        const sessions = entries.filter(e => !e.isAgent).sort(byStart);
+        const sessionIds = new Set(sessions.map(e => e.sessionId));
+
+        const agentsByParent = new Map();
+        const orphanAgents = [];
+        for (const agent of entries.filter(e => e.isAgent).sort(byStart)) {
+            if (sessionIds.has(agent.parentSessionId)) {
+                if (!agentsByParent.has(agent.parentSessionId)) {
+                    agentsByParent.set(agent.parentSessionId, []);
+                }
+                agentsByParent.get(agent.parentSessionId).push(agent);
+            } else {
+                orphanAgents.push(agent);
+            }
+        }
+
+        const lines = [
+            'SESSION             STARTED                  DURATION   MSGS  TOOLS  BRANCH                MODEL               PROJECT',
+            '─'.repeat(132),
+        ];
+
+        for (const entry of sessions) {
+            // An 8-character prefix is enough to open the session again
+            lines.push(...SessionLister.formatEntry(entry, entry.sessionId.substring(0, 8), '    '));
+            for (const agent of agentsByParent.get(entry.sessionId) || []) {
+                lines.push(...SessionLister.formatEntry(agent, '└─ ' + agent.sessionId, '       '));
+            }
+        }
+        for (const agent of orphanAgents) {
+            lines.push(...SessionLister.formatEntry(agent, agent.sessionId, '    '));
+        }
+
+        const agentCount = entries.length - sessions.length;
+        lines.push('');
+        lines.push(`${sessions.length} session${sessions.length === 1 ? '' : 's'}` +
+            (agentCount > 0 ? `, ${agentCount} agent session${agentCount === 1 ? '' : 's'}` : ''));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert entries to plain JSON for scripts (--list --json)
+     * Prompts and titles are kept in full; times are ISO 8601 UTC
+     * @param {Array<Object>} entries - Listing entries
+     * @returns {string} JSON array, oldest session first
+     */
+    static toJson(entries) {
+        const toIso = date => (date && !isNaN(date.getTime()) ? date.toISOString() : null);
+        const sorted = [...entries].sort((a, b) =>
+            (a.started || a.modified || 0) - (b.started || b.modified || 0));
+
+        return JSON.stringify(sorted.map(entry => ({
+            sessionId: entry.sessionId,
+            path: entry.path,
+            isAgent: entry.isAgent,
+            parentSessionId: entry.parentSessionId,
+            project: entry.project,
+            projectDir: entry.projectDir,
+            started: toIso(entry.started),
+            ended: toIso(entry.ended),
+            durationSeconds: entry.durationMs === null ? null : Math.round(entry.durationMs / 1000),
+            messageCount: entry.messageCount,
+            toolCallCount: entry.toolCallCount,
+            gitBranch: entry.gitBranch,
+            models: entry.models,
+            summary: entry.summary,
+            firstPrompt: entry.firstPrompt,
+            size: entry.size,
+        })), null, 2);
+    }
+}
+
+// ================================================================================
+// SESSION PICKER
+// ================================================================================
+
+/**
+ * Interactive chooser shown when a reference matches several sessions on a terminal.
+ * Arrow keys move, typing filters on ID/prompt/title/project, Right/Left (or Tab)
+ * expand and collapse a session's agents, Enter opens and Esc cancels.
+ *
+ * Key handling and rendering are plain methods (handleKey, render) so the state
+ * machine doesn't depend on a real terminal; pick() wires them to stdin/stdout.
+ */
+class SessionPicker {
+    /**
+     * Create a SessionPicker instance
+     * @param {Array<Object>} entries - Listing entries (from SessionLister.collect)
+     * @param {Object} options - Picker options
+     * @param {string} options.title - First line of the screen
+     * @param {ColorTheme} options.theme - Theme for the cursor and secondary text
+     * @param {Object} options.input - Keyboard stream (default: process.stdin)
+     * @param {Object} options.output - Terminal stream (default: process.stdout)
+     */
+    constructor(entries, options = {}) {
+        this.title = options.title || 'Pick a session';
+        this.theme = options.theme || new ColorTheme(false);
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+
+        // Newest first: the session you're after is usually a recent one
+        const byStartDesc = (a, b) => (b.started || b.modified || 0) - (a.started || a.modified || 0);
+        const sessionIds = new Set(entries.filter(e => !e.isAgent).map(e => e.sessionId));
+
+        // Agents whose parent isn't among the entries are listed as top-level rows
+        this.sessions = entries
+            .filter(e => !e.isAgent || !sessionIds.has(e.parentSessionId))
+            .sort(byStartDesc);
+        this.agentsByParent = new Map();
+        for (const agent of entries.filter(e => e.isAgent && sessionIds.has(e.parentSessionId))) {
+            if (!this.agentsByParent.has(agent.parentSessionId)) {
+                this.agentsByParent.set(agent.parentSessionId, []);
+            }
+            this.agentsByParent.get(agent.parentSessionId).push(agent);
+        }
+
+        this.expanded = new Set();
+        this.filter = '';
+        this.cursor = 0;
+        this.scroll = 0;
+        this.pageSize = 10;
+    }
+
+    /**
+     * Check whether an interactive picker can be shown (keyboard and screen are a terminal)
+     * @returns {boolean} True if stdin and stdout are TTYs
+     */
+    static isAvailable() {
+        return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+    }
+
+    /**
+     * Check an entry against the filter text (case-insensitive substring)
+     * @param {Object} entry - Listing entry
+     * @param {string} filter - Filter text
+     * @returns {boolean} True if ID, first prompt, title or project contains the filter
+     */
+    static matches(entry, filter) {
+        if (!filter) {
+            return true;
+        }
+        const haystack = [entry.sessionId, entry.firstPrompt, entry.summary, entry.project]
+            .filter(Boolean)
+            .join('\n')
+            .toLowerCase();
+        return haystack.includes(filter.toLowerCase());
+    }
+
+    /**
+     * Build the rows currently shown
+     * A session is shown if it or one of its agents matches; while filtering,
+     * matching agents are shown even under a collapsed session
+     * @returns {Array<Object>} Rows ({entry, depth, agentCount, parent})
+     */
+    getRows() {
+        const rows = [];
+
+        for (const session of this.sessions) {
+            const agents = this.agentsByParent.get(session.sessionId) || [];
+            const matchingAgents = agents.filter(agent => SessionPicker.matches(agent, this.filter));
+            if (!SessionPicker.matches(session, this.filter) && matchingAgents.length === 0) {
+                continue;
+            }
+
+            rows.push({ entry: session, depth: 0, agentCount: agents.length, parent: null });
+
+            const shownAgents = this.expanded.has(session.sessionId)
+                ? agents
+                : (this.filter ? matchingAgents : []);
+            for (const agent of shownAgents) {
+                rows.push({ entry: agent, depth: 1, agentCount: 0, parent: session });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Apply a keypress to the picker state
+     * @param {string|undefined} str - Typed character (from readline keypress events)
+     * @param {Object} key - Keypress info ({name, ctrl, meta})
+     * @returns {string|null} 'open', 'cancel' or null to keep going
+     */
+    handleKey(str, key = {}) {
+        const rows = this.getRows();
+        const row = rows[this.cursor];
+
+        if (key.ctrl && key.name === 'c') {
+            return 'cancel';
+        }
+
+        switch (key.ctrl ? `ctrl-${key.name}` : key.name) {
+            case 'up':
+            case 'ctrl-p':
+                this.cursor--;
+                break;
+
+            case 'down':
+            case 'ctrl-n':
+                this.cursor++;
+                break;
+
+            case 'pageup':
+                this.cursor -= this.pageSize;
+                break;
+
+            case 'pagedown':
+                this.cursor += this.pageSize;
+                break;
+
+            case 'home':
+                this.cursor = 0;
+                break;
+
+            case 'end':
+                this.cursor = rows.length - 1;
+                break;
+
+            case 'right':
+                if (row && row.agentCount > 0) {
+                    this.expanded.add(row.entry.sessionId);
+                }
+                break;
+
+            case 'left':
+                if (row && row.parent) {
+                    // Collapse from an agent row: the cursor goes back to its session
+                    this.expanded.delete(row.parent.sessionId);
+                    this.cursor = this.getRows().findIndex(r => r.entry === row.parent);
+                } else if (row) {
+                    this.expanded.delete(row.entry.sessionId);
+                }
+                break;
+
+            case 'tab':
+                if (row && row.agentCount > 0 && !this.expanded.delete(row.entry.sessionId)) {
+                    this.expanded.add(row.entry.sessionId);
+                }
+                break;
+
+            case 'return':
+            case 'enter':
+                return row ? 'open' : null;
+
+            case 'escape':
+                return 'cancel';
+
+            case 'backspace':
+                this.filter = this.filter.slice(0, -1);
+                this.cursor = 0;
+                break;
+
+            default:
+                // Printable characters extend the filter
+                if (str && str.length === 1 && str >= ' ' && !key.ctrl && !key.meta) {
+                    this.filter += str;
+                    this.cursor = 0;
+                }
+        }
+
+        const count = this.getRows().length;
+        this.cursor = Math.max(0, Math.min(this.cursor, count - 1));
+        return null;
+    }
+
+    /**
+     * Get the entry under the cursor
+     * @returns {Object|null} Listing entry or null if nothing matches the filter
+     */
+    getSelected() {
+        const row = this.getRows()[this.cursor];
+        return row ? row.entry : null;
+    }
+
+    /**
+     * Format one row, clipped to the terminal width
+     * @param {Object} row - Row from getRows()
+     * @param {number} width - Terminal width
+     * @param {boolean} selected - Whether the cursor is on this row
+     * @returns {string} Row text
+     */
+    formatRow(row, width, selected) {
+        const { entry } = row;
+        const toggle = row.agentCount > 0 ? (this.expanded.has(entry.sessionId) ? '▾' : '▸') : ' ';
+        const id = row.depth > 0 ? `  └─ ${entry.sessionId}` : `${toggle} ${entry.sessionId.substring(0, 8)}`;
+        const started = entry.started ? formatLocalShort(entry.started) : '-';
+        const about = SessionLister.clip(entry.summary || entry.firstPrompt || '', width);
+
+        const text = [
+            `${selected ? '❯' : ' '} ${id.padEnd(20)}`,
+            started,
+            formatDuration(entry.durationMs).padStart(7),
+            `${String(entry.messageCount).padStart(4)} msgs`,
+            entry.project || entry.projectDir || '-',
+            about,
+        ].join('  ');
+
+        // Not SessionLister.clip: that would collapse the column padding
+        const maxLength = Math.max(20, width - 1);
+        const line = text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+        return selected ? this.theme.paint('picker_cursor', line.padEnd(width - 1)) : line;
+    }
+
+    /**
+     * Render the whole screen
+     * @param {number} width - Terminal width in columns
+     * @param {number} height - Terminal height in rows
+     * @returns {string} Screen content
+     */
+    render(width = 80, height = 24) {
+        const rows = this.getRows();
+        const total = this.sessions.length;
+        this.pageSize = Math.max(3, height - 6);
+
+        // Keep the cursor inside the visible window
+        if (this.cursor < this.scroll) {
+            this.scroll = this.cursor;
+        } else if (this.cursor >= this.scroll + this.pageSize) {
+            this.scroll = this.cursor - this.pageSize + 1;
+        }
+        this.scroll = Math.max(0, Math.min(this.scroll, Math.max(0, rows.length - this.pageSize)));
+
+        const lines = [
+            this.theme.paint('heading', SessionLister.clip(this.title, width - 1)),
+            this.theme.paint('hidden', SessionLister.clip(
+                '↑/↓ move · type to filter · →/← expand/collapse agents · Enter open · Esc cancel', width - 1)),
+            `Filter: ${this.filter}▏`,
+            '',
+        ];
+
+        for (let i = this.scroll; i < Math.min(rows.length, this.scroll + this.pageSize); i++) {
+            lines.push(this.formatRow(rows[i], width, i === this.cursor));
+        }
+
+        lines.push('');
+        lines.push(this.theme.paint('hidden', rows.length === 0
+            ? `No sessions match "${this.filter}"`
+            : `${rows.filter(r => r.depth === 0).length} of ${total} sessions`));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Run the picker on the terminal (alternate screen, raw keyboard input)
+     * @returns {Promise<Object|null>} Picked listing entry, or null if cancelled
+     */
+    async pick() {
+        const { input, output } = this;
+        const wasRaw = input.isRaw;
+
+        const draw = () => {
+            output.write('\x1b[H\x1b[2J' + this.render(output.columns || 80, output.rows || 24));
+        };
+
+        readline.emitKeypressEvents(input);
+        input.setRawMode(true);
+        input.resume();
+        // Alternate screen keeps the picker out of the scrollback; hide the cursor while it runs
+        output.write('\x1b[?1049h\x1b[?25l');
+
+        let onKey;
+        try {
+            draw();
+            output.on('resize', draw);
+
+            return await new Promise(resolve => {
+                onKey = (str, key) => {
+                    const action = this.handleKey(str, key);
+                    if (action === 'open') {
+                        resolve(this.getSelected());
+                    } else if (action === 'cancel') {
+                        resolve(null);
+                    } else {
+                        draw();
+                    }
+                };
+                input.on('keypress', onKey);
+            });
+        } finally {
+            input.removeListener('keypress', onKey);
+            output.removeListener('resize', draw);
+            input.setRawMode(wasRaw);
+            input.pause();
+            output.write('\x1b[?25h\x1b[?1049l');
+        }
+    }
+}
+
+// ================================================================================
+// BRANCH DETECTOR
+// ================================================================================
+
+/**
+ * Detects points where a transcript stops being one continuous conversation:
+ * resumes, compactions, /clear and rewinds. Fed records in file order.
+ *
+ * - resume:     sessionId changes, or a record's parent is not in this file
+ * - compaction: compact_boundary system record (or a compact summary without one)
+ * - clear:      /clear command
+ * - rewind:     a new child of a uuid that already has one (an older message)
+ * - new_root:   a conversation record with parentUuid null after the first one
+ */
+class BranchDetector {
+    constructor() {
+        // uuid -> line number of every record seen so far
+        this.lineByUuid = new Map();
+        // uuid -> line number of its first conversation child
+        this.firstChildLine = new Map();
+        this.sessionId = null;
+        this.hasRoot = false;
+        this.lastWasCompactBoundary = false;
+    }
+
+    /**
+     * Check whether a record takes part in the parentUuid chain
+     * @param {Object} message - Parsed message object
+     * @returns {boolean} True for user/assistant/system records with a uuid
+     */
+    static isChainRecord(message) {
+        return ['user', 'assistant', 'system'].includes(message.type) && !!message.uuid;
+    }
+
+    /**
+     * Check whether a user record is a /clear command
+     * @param {Object} message - Parsed message object
+     * @returns {boolean} True if the record invokes /clear
+     */
+    static isClearCommand(message) {
+        const content = message.message?.content;
+        const text = typeof content === 'string'
+            ? content
+            : (Array.isArray(content) ? content.map(block => block.text || '').join('') : '');
+        return /<command-name>\/clear<\/command-name>/.test(text);
+    }
+
+    /**
+     * Check whether a user record carries only tool results
+     * Tool results may legitimately share a parent, so they never count as a rewind
+     * @param {Object} message - Parsed message object
+     * @returns {boolean} True if every content block is a tool_result
+     */
+    static isToolResultRecord(message) {
+        const content = message.message?.content;
+        return Array.isArray(content) && content.length > 0 &&
+            content.every(block => block.type === 'tool_result');
+    }
+
+    /**
+     * Inspect the next record and report a branch point before it, if any
+     * @param {Object} message - Parsed message object
+     * @param {number|null} lineNumber - Line number in JSONL file
+     * @returns {Object|null} Event {kind, text} or null
+     */
+    detect(message, lineNumber = null) {
+        if (!BranchDetector.isChainRecord(message)) {
+            // Other records can still be parents (e.g. attachments), so remember where they are
+            if (message.uuid) {
+                this.lineByUuid.set(message.uuid, lineNumber);
+            }
+            return null;
+        }
+
+        const event = this.classify(message);
+
+        // Record position in the tree for later records
+        this.lineByUuid.set(message.uuid, lineNumber);
+        const parent = message.parentUuid;
+        if (parent && !this.firstChildLine.has(parent) &&
+            !(message.type === 'user' && BranchDetector.isToolResultRecord(message))) {
+            this.firstChildLine.set(parent, lineNumber);
+        }
+        if (message.sessionId) {
+            this.sessionId = message.sessionId;
+        }
+        if (!parent) {
+            this.hasRoot = true;
+        }
+        this.lastWasCompactBoundary = message.type === 'system' && message.subtype === 'compact_boundary';
+
+        return event;
+    }
+
+    /**
+     * Classify a chain record against the records seen so far
+     * @param {Object} message - Parsed message object (a chain record)
+     * @returns {Object|null} Event {kind, text} or null
+     */
+    classify(message) {
+        const parent = message.parentUuid;
+
+        if (message.type === 'system' && message.subtype === 'compact_boundary') {
+            const meta = message.compactMetadata || {};
+            const details = [];
+            if (meta.trigger) details.push(`trigger: ${meta.trigger}`);
+            if (meta.preTokens) details.push(`${meta.preTokens.toLocaleString('en-US')} tokens before`);
+            return {
+                kind: 'compaction',
+                text: `conversation compacted${details.length ? ` (${details.join(', ')})` : ''}`,
+            };
+        }
+
+        if (message.type === 'user' && message.isCompactSummary && !this.lastWasCompactBoundary) {
+            return { kind: 'compaction', text: 'continues from a compaction summary' };
+        }
+
+        if (message.type === 'user' && BranchDetector.isClearCommand(message)) {
+            return { kind: 'clear', text: '/clear reset the conversation context' };
+        }
+
+        if (this.sessionId && message.sessionId && message.sessionId !== this.sessionId) {
+            return { kind: 'resume', text: `${this.sessionId} → ${message.sessionId}` };
+        }
+
+        if (parent && !this.lineByUuid.has(parent)) {
+            return { kind: 'resume', text: `continues from ${parent} (not in this file)` };
+        }
+
+        if (!parent && this.hasRoot) {
+            return { kind: 'new_root', text: 'new root record (parentUuid: null)' };
+        }
+
+        if (parent && this.firstChildLine.has(parent) &&
+            !(message.type === 'user' && BranchDetector.isToolResultRecord(message))) {
+            const parentLine = this.lineByUuid.get(parent);
+            const abandonedLine = this.firstChildLine.get(parent);
+            return {
+                kind: 'rewind',
+                text: `new branch from L${parentLine} (previous branch continued at L${abandonedLine})`,
+            };
+        }
+
+        return null;
+    }
+}
+
+// ================================================================================
+// CONVERSATION TREE
+// ================================================================================
+
+/**
+ * The uuid/parentUuid structure of a transcript, for picking one branch of a
+ * rewound or forked conversation. Records are appended in file order, so the
+ * active branch is the one that ends in the last conversation record.
+ *
+ * - Compaction boundaries (parentUuid null) link to the pre-compaction history via
+ *   logicalParentUuid, or the previous conversation record if that's missing
+ * - Tool results that share a parent and end there (older parallel tool calls) belong
+ *   to their parent's branch instead of forming branches of their own
+ * - Records without a uuid (summaries, parse errors) are not part of the tree
+ */
+class ConversationTree {
+    constructor() {
+        // uuid -> node {uuid, parent, lineNumber, type, isChain, isToolResult, isCompaction, prompt, text, children}
+        this.nodes = new Map();
+        // Nodes in file order
+        this.order = [];
+        this.lastChainUuid = null;
+        // Complete (newline-terminated) lines read
+        this.lineCount = 0;
+    }
+
+    /**
+     * Build the tree of a transcript file
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<ConversationTree>} Linked tree
+     */
+    static async build(filePath) {
+        const tree = new ConversationTree();
+        const stream = fs.createReadStream(filePath);
+        const rl = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        });
+
+        let lineNumber = 0;
+        let lastByte = null;
+        stream.on('data', chunk => {
+            lastByte = chunk[chunk.length - 1];
+        });
+        try {
+            for await (const line of rl) {
+                lineNumber++;
+                // Cheap pre-check: only records with a uuid are part of the tree
+                if (!line.includes('"uuid"')) continue;
+                tree.add(MessageParser.parseLine(line, lineNumber), lineNumber);
+            }
+        } finally {
+            // Ensure streams are always cleaned up
+            rl.close();
+            stream.destroy();
+        }
+
+        // A last line without newline is a record Claude Code is still writing (--follow reads
+        // it again once complete), so it counts as appended after the tree was built
+        tree.lineCount = lastByte !== null && lastByte !== 0x0a ? lineNumber - 1 : lineNumber;
+        tree.link();
+        return tree;
+    }
+
+    /**
+     * Add a record (call link() after the last one)
+     * @param {Object} message - Parsed message object
+     * @param {number} lineNumber - Line number in JSONL file
+     */
+    add(message, lineNumber) {
+        if (!message.uuid || this.nodes.has(message.uuid)) {
+            return;
+        }
+
+        const isChain = BranchDetector.isChainRecord(message);
+        const isCompaction = message.type === 'system' && message.subtype === 'compact_boundary';
+        let parent = message.parentUuid || null;
+        if (!parent && isCompaction) {
+            parent = message.logicalParentUuid || this.lastChainUuid;
+        }
+
+        const content = message.message?.content;
+        const node = {
+            uuid: message.uuid,
+            parent,
+            lineNumber,
+            type: message.type,
+            isChain,
+            isToolResult: message.type === 'user' && BranchDetector.isToolResultRecord(message),
+            isCompaction,
+            prompt: message.type === 'user' ? MetadataExtractor.getPromptText(message) : null,
+            text: message.type === 'assistant' && Array.isArray(content)
+                ? content.find(block => block.type === 'text')?.text || null
+                : null,
+            children: [],
+        };
+
+        this.nodes.set(node.uuid, node);
+        this.order.push(node);
+        if (isChain) {
+            this.lastChainUuid = node.uuid;
+        }
+    }
+
+    /**
+     * Connect children to their parents; nodes whose parent isn't in the file become roots
+     */
+    link() {
+        this.roots = [];
+        for (const node of this.order) {
+            const parent = node.parent && this.nodes.get(node.parent);
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                node.missingParent = !!node.parent;
+                this.roots.push(node);
+            }
+        }
+    }
+
+    /**
+     * Get the children that continue the conversation (tool results ending at a shared parent are left out)
+     * @param {Object} node - Tree node
+     * @returns {Array<Object>} Child nodes forming branches
+     */
+    static getBranchChildren(node) {
+        if (node.children.length < 2) {
+            return node.children;
+        }
+        return node.children.filter(child => !(child.isToolResult && child.children.length === 0));
+    }
+
+    /**
+     * Find a node by reference
+     * @param {string} ref - Full uuid, unique uuid prefix, or L<n> line reference
+     * @returns {Object} Tree node
+     * @throws {Error} If the reference matches no record or several
+     */
+    findNode(ref) {
+        const lineMatch = /^L(\d+)$/i.exec(ref);
+        if (lineMatch) {
+            const lineNumber = parseInt(lineMatch[1], 10);
+            const node = this.order.find(n => n.lineNumber === lineNumber);
+            if (!node) {
+                throw new Error(`--leaf ${ref}: line ${lineNumber} is not a record with a uuid`);
+            }
+            return node;
+        }
+
+        if (this.nodes.has(ref)) {
+            return this.nodes.get(ref);
+        }
+        const matches = this.order.filter(node => node.uuid.startsWith(ref));
+        if (matches.length === 0) {
+            throw new Error(`--leaf ${ref}: no record with this uuid`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`--leaf ${ref}: prefix matches ${matches.length} records (use a longer prefix or L<n>)`);
+        }
+        return matches[0];
+    }
+
+    /**
+     * Get the nodes from a root down to a leaf
+     * @param {string|null} leafUuid - Leaf uuid (default: the active leaf, i.e. the last conversation record)
+     * @returns {Array<Object>} Nodes in conversation order (empty for a file without conversation records)
+     */
+    getPath(leafUuid = null) {
+        const nodes = [];
+        let node = this.nodes.get(leafUuid || this.lastChainUuid);
+        const seen = new Set();
+
+        // seen guards against parent cycles in damaged files
+        while (node && !seen.has(node.uuid)) {
+            seen.add(node.uuid);
+            nodes.push(node);
+            node = node.parent && this.nodes.get(node.parent);
+        }
+
+        return nodes.reverse();
+    }
+
+    /**
+     * Get the line numbers of the records on a branch
+     * @param {string|null} leafUuid - Leaf uuid (default: the active leaf)
+     * @returns {Set<number>} Line numbers of the branch's records
+     */
+    getBranchLines(leafUuid = null) {
+        const lines = new Set();
+        for (const node of this.getPath(leafUuid)) {
+            lines.add(node.lineNumber);
+            // Tool results attached to this node (see getBranchChildren)
+            for (const child of node.children) {
+                if (!ConversationTree.getBranchChildren(node).includes(child)) {
+                    lines.add(child.lineNumber);
+                }
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Split the tree into segments: runs of records without branch points
+     * @param {Object} start - First node of the segment
+     * @returns {Object} Segment {nodes, attached, children: Array<segment>}
+     */
+    buildSegment(start) {
+        const nodes = [];
+        let attached = 0;
+        let node = start;
+
+        for (;;) {
+            nodes.push(node);
+            const branches = ConversationTree.getBranchChildren(node);
+            attached += node.children.length - branches.length;
+            if (branches.length !== 1) {
+                return { nodes, attached, children: branches.map(child => this.buildSegment(child)) };
+            }
+            node = branches[0];
+        }
+    }
+
+    /**
+     * Describe a segment in one line
+     * @param {Object} segment - Segment from buildSegment()
+     * @returns {string} Line range, record count, first prompt (or reply) and leaf uuid
+     */
+    static describeSegment(segment) {
+        const { nodes } = segment;
+        const first = nodes[0];
+        const last = nodes[nodes.length - 1];
+        const count = nodes.length + segment.attached;
+
+        const range = first === last ? `L${first.lineNumber}` : `L${first.lineNumber}–L${last.lineNumber}`;
+        const prompt = nodes.find(node => node.prompt);
+        const reply = nodes.find(node => node.text);
+        const label = prompt
+            ? `${EMOJI.human} ${SessionLister.clip(prompt.prompt, 60)}`
+            : (reply ? `${EMOJI.claude} ${SessionLister.clip(reply.text, 60)}` : `(${first.type})`);
+
+        const notes = [];
+        if (first.missingParent) notes.push(`${EMOJI.resume} continues ${first.parent.substring(0, 8)} (not in this file)`);
+        if (nodes.some(node => node.isCompaction)) notes.push(`${EMOJI.compaction} compacted`);
+        if (segment.children.length === 0) notes.push(`leaf ${last.uuid.substring(0, 8)}`);
+
+        return [range.padEnd(12), `${count} record${count === 1 ? '' : 's'}`.padEnd(12), label, ...notes].join('  ');
+    }
+
+    /**
+     * Format the branch structure (--tree)
+     * @param {string|null} leafUuid - Selected leaf (default: the active leaf)
+     * @param {ColorTheme} theme - Theme (records off the selected branch are greyed)
+     * @returns {string} Tree text
+     */
+    format(leafUuid = null, theme = new ColorTheme(false)) {
+        const selected = new Set(this.getPath(leafUuid).map(node => node.uuid));
+        const lines = [];
+        let leafCount = 0;
+
+        const walk = (segment, prefix, connector, childPrefix) => {
+            const onBranch = selected.has(segment.nodes[0].uuid);
+            if (segment.children.length === 0) {
+                leafCount++;
+            }
+            const text = `${onBranch ? '●' : '○'} ${ConversationTree.describeSegment(segment)}`;
+            lines.push(prefix + connector + (onBranch ? text : theme.paint('hidden', text)));
+
+            segment.children.forEach((child, i) => {
+                const isLast = i === segment.children.length - 1;
+                walk(child, childPrefix, isLast ? '└─ ' : '├─ ', childPrefix + (isLast ? '   ' : '│  '));
+            });
+        };
+
+        for (const root of this.roots) {
+            walk(this.buildSegment(root), '', '', '');
+        }
+
+        return [
+            `${this.order.length} records with a uuid, ${leafCount} lea${leafCount === 1 ? 'f' : 'ves'}` +
+                ' (● shown, ○ other branches: --leaf <uuid> or --all-branches)',
+            '',
+            ...lines,
+        ].join('\n');
+    }
+}
+
+// ================================================================================
+// SUB-AGENT LOCATOR
+// ================================================================================
+
+/**
+ * Finds the agent transcript (agent-*.jsonl) that belongs to a Task/agent tool call.
+ * Matches by the agentId Claude Code records in the tool result, falling back to
+ * agent files of the same session whose first prompt equals the call's prompt.
+ */
+class SubAgentLocator {
+    /**
+     * @param {string} transcriptPath - Path of the parent transcript (agents live next to it,
+     *        or in a <session-id>/subagents folder beside it)
+     */
+    constructor(transcriptPath) {
+        this.dir = path.dirname(transcriptPath);
+        this.subagentsDir = path.join(this.dir, path.basename(transcriptPath, '.jsonl'), 'subagents');
+        this.index = null;  // Lazily built: Array<{path, agentId, sessionId, prompt}>
+        this.claimed = new Set();
+    }
+
+    /**
+     * Read the first prompt and session of an agent file
+     * @param {string} agentFilePath - Path to agent .jsonl file
+     * @returns {Promise<Object>} Entry {path, agentId, sessionId, prompt}
+     */
+    static async readAgentEntry(agentFilePath) {
+        const entry = {
+            path: agentFilePath,
+            agentId: path.basename(agentFilePath, '.jsonl').replace(/^agent-/, ''),
+            sessionId: null,
+            prompt: null,
+        };
+
+        const stream = fs.createReadStream(agentFilePath, { encoding: 'utf8' });
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+        try {
+            for await (const line of rl) {
+                const data = MessageParser.parseLine(line);
+                entry.sessionId = entry.sessionId || data.sessionId || null;
+                if (data.type === 'user') {
+                    const content = data.message?.content;
+                    entry.prompt = typeof content === 'string'
+                        ? content
+                        : MessageParser.extractToolResultText(content).text;
+                    break;
+                }
+            }
+        } finally {
+            rl.close();
+            stream.destroy();
+        }
+
+        return entry;
+    }
+
+    /**
+     * List the agent files of a directory
+     * @param {string} dir - Directory to scan
+     * @param {boolean} required - Warn if the directory can't be read (the subagents folder is optional)
+     * @returns {Promise<Array<string>>} Agent file paths
+     */
+    static async listAgentFiles(dir, required) {
+        try {
+            const files = await fs.promises.readdir(dir);
+            return files
+                .filter(filename => filename.startsWith('agent-') && filename.endsWith('.jsonl'))
+                .map(filename => path.join(dir, filename));
+        } catch (error) {
+            if (required || error.code !== 'ENOENT') {
+                console.error(`Warning: Cannot scan ${dir} for agent transcripts: ${error.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Build the index of agent files next to the transcript and in its subagents folder
+     * @returns {Promise<Array>} Index entries
+     */
+    async buildIndex() {
+        const entries = [];
+        const files = [
+            ...await SubAgentLocator.listAgentFiles(this.subagentsDir, false),
+            ...await SubAgentLocator.listAgentFiles(this.dir, true),
+        ];
+
+        for (const filePath of files) {
+            try {
+                entries.push(await SubAgentLocator.readAgentEntry(filePath));
+            } catch (error) {
+                console.error(`Warning: Cannot read agent transcript ${path.basename(filePath)}: ${error.message}`);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Find the agent transcript for a sub-agent tool call
+     * @param {Object} call - Tool call {id, input}
+     * @param {Object} resultRecord - User record carrying the call's tool_result
+     * @returns {Promise<string|null>} Path to agent transcript or null if not found
+     */
+    async find(call, resultRecord) {
+        if (!this.index) {
+            this.index = await this.buildIndex();
+        }
+
+        const available = this.index.filter(entry => !this.claimed.has(entry.path));
+
+        // 1. Claude Code records the agent id in the structured tool result
+        const agentId = resultRecord.toolUseResult?.agentId;
+        let match = agentId ? available.find(entry => entry.agentId === agentId) : null;
+
+        // 2. Same session and same prompt
+        if (!match && call.input?.prompt) {
+            match = available.find(entry =>
+                (!entry.sessionId || entry.sessionId === resultRecord.sessionId) &&
+                entry.prompt === call.input.prompt
+            );
+        }
+
+        if (!match) {
+            return null;
+        }
+        this.claimed.add(match.path);
+        return match.path;
+    }
+}
+
+// ================================================================================
+// TRANSCRIPT PROCESSOR (Main Pipeline)
+// ================================================================================
+
+class TranscriptProcessor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.formatter = createFormatter(this.options);
+        this.branchDetector = new BranchDetector();
+        // Line prefix for nested (sub-agent) output
+        this.indent = this.options.indent || '';
+        // Sub-agent calls waiting for their result: tool_use_id -> {id, input}
+        this.subAgentCalls = new Map();
+        this.subAgentLocator = null;
+        // Streamed assistant records of the current API response: {requestId, records}
+        this.pendingTurn = null;
+        // Current run of records left out by record selection: {count, firstLine, lastLine, reason}
+        this.skipped = null;
+        // Lines selected by --lines/--around/--turn/--last: {from, to, reason} (resolved per file)
+        this.lineRange = null;
+        // Turn numbering: count of turns so far and the previous record (see startsTurn())
+        this.turnNumber = 0;
+        this.previousMessage = null;
+        // Selected branch: {lines: Set<number>, lastLine} (null with --all-branches; see selectBranch())
+        this.branch = null;
+    }
+
+    /**
+     * Pick the branch to show: the one ending in --leaf, or the active one
+     * --lines and --around address the file (e.g. an --around L<n> from search), so without
+     * --leaf they show every branch; --turn and --last keep the branch
+     * @param {string} filePath - Path to JSONL transcript file
+     * @param {Object} options - Options with leaf (uuid, uuid prefix or L<n>), allBranches and selection
+     * @returns {Promise<Object|null>} {lines, lastLine} or null to show every branch
+     * @throws {Error} If --leaf doesn't identify a record
+     */
+    static async selectBranch(filePath, options) {
+        const addressesFile = options.selection?.kind === 'lines' || options.selection?.kind === 'around';
+        if (options.allBranches || (addressesFile && !options.leaf)) {
+            return null;
+        }
+        const tree = await ConversationTree.build(filePath);
+        const leafUuid = options.leaf ? tree.findNode(options.leaf).uuid : null;
+        return { lines: tree.getBranchLines(leafUuid), lastLine: tree.lineCount };
+    }
+
+    /**
+     * Check whether a record starts a new turn (one API response, as grouped for display)
+     * Streamed chunks continue a turn only while they directly follow each other
+     * @param {Object} message - Parsed message object
+     * @param {Object|null} previous - The record before it
+     * @returns {boolean} True if the record is the first of a turn
+     */
+    static startsTurn(message, previous) {
+        if (message.type !== 'assistant') {
+            return false;
+        }
+        return !(previous?.type === 'assistant' && message.requestId && message.requestId === previous.requestId);
+    }
+
+    /**
+     * Find the first line of every turn, for --turn and --last
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<Object>} {turnStarts: Array<number>, lineCount}
+     */
+    static async indexTurns(filePath) {
+        const turnStarts = [];
+        const stream = fs.createReadStream(filePath);
+        const rl = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        });
+
+        let lineNumber = 0;
+        let previous = null;
+
+        try {
+            for await (const line of rl) {
+                lineNumber++;
+                // Only assistant records need parsing; anything else just ends the current turn
+                const message = line.includes('"assistant"')
+                    ? MessageParser.parseLine(line, lineNumber)
+                    : { type: null };
+                if (TranscriptProcessor.startsTurn(message, previous)) {
+                    turnStarts.push(lineNumber);
+                }
+                previous = message;
+            }
+        } finally {
+            // Ensure streams are always cleaned up
+            rl.close();
+            stream.destroy();
+        }
+
+        return { turnStarts, lineCount: lineNumber };
+    }
+
+    /**
+     * Turn options.selection (--lines, --around, --turn, --last) into a line range for one file
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<Object|null>} {from, to, reason} or null if no selection
+     */
+    async resolveLineRange(filePath) {
+        const selection = this.options.selection;
+        if (!selection) {
+            return null;
+        }
+
+        const reason = `outside ${selection.label}`;
+        switch (selection.kind) {
+            case 'lines':
+                return { from: selection.from, to: selection.to, reason };
+
+            case 'around':
+                return {
+                    from: Math.max(1, selection.line - selection.context),
+                    to: selection.line + selection.context,
+                    reason,
+                };
+
+            case 'turns':
+            case 'last': {
+                const { turnStarts, lineCount } = await TranscriptProcessor.indexTurns(filePath);
+                const total = turnStarts.length;
+                // Turn numbers stay file-wide (as in the headers), but the last n turns are those on the branch
+                const shown = selection.kind === 'last' && this.branch
+                    ? turnStarts.filter(line => this.branch.lines.has(line))
+                    : turnStarts;
+                const first = selection.kind === 'last'
+                    ? turnStarts.indexOf(shown[Math.max(0, shown.length - selection.count)]) + 1
+                    : selection.from;
+                const last = selection.kind === 'last' ? total : Math.min(selection.to, total);
+
+                if (first < 1 || first > total) {
+                    const where = shown === turnStarts ? '' : ' on the selected branch';
+                    console.error(`Warning: ${filePath} has only ${shown.length} turn${shown.length === 1 ? '' : 's'}${where} (${selection.label})`);
+                    return { from: lineCount + 1, to: lineCount, reason };
+                }
+                if (this.branch && !turnStarts.slice(first - 1, last).some(line => this.branch.lines.has(line))) {
+                    console.error(`Warning: ${selection.label} is off the selected branch in ${filePath} (use --all-branches or --leaf)`);
+                }
+                // A turn runs until the next one starts (so it includes its tool results and replies)
+                return {
+                    from: turnStarts[first - 1],
+                    to: last < total ? turnStarts[last] - 1 : Infinity,
+                    reason,
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Decide whether a record is left out by record selection (line/turn selection, --since/--until)
+     * @param {Object} message - Parsed message object
+     * @param {number} lineNumber - Line number in JSONL file
+     * @returns {string|null} Reason shown in the skip indicator, or null if the record is selected
+     */
+    getSkipReason(message, lineNumber) {
+        if (this.lineRange && (lineNumber < this.lineRange.from || lineNumber > this.lineRange.to)) {
+            return this.lineRange.reason;
+        }
+        // Parse errors are never hidden (Display Integrity principle)
+        if (message.type === 'parse_error') {
+            return null;
+        }
+        // Records appended after the tree was built (--follow) continue the active branch
+        if (this.branch && lineNumber <= this.branch.lastLine && BranchDetector.isChainRecord(message) &&
+            !this.branch.lines.has(lineNumber)) {
+            return 'off the selected branch';
+        }
+        if ((this.options.since || this.options.until) && !isInTimeRange(message.timestamp, this.options)) {
+            return 'outside --since/--until';
+        }
+        return null;
+    }
+
+    /**
+     * Leave out a record, keeping the state later records depend on
+     * Consecutive skipped records are reported with a single indicator line
+     * @param {Object|null} message - Parsed message object (null past the selected lines, where no state is needed)
+     * @param {number} lineNumber - Line number in JSONL file
+     * @param {string} reason - Reason from getSkipReason()
+     */
+    skipRecord(message, lineNumber, reason) {
+        this.flushTurn();
+
+        // Branch detection and tool names need every record before the selection
+        if (message) {
+            this.branchDetector.detect(message, lineNumber);
+            this.formatter.trackToolCalls(message);
+        }
+
+        if (this.skipped && this.skipped.reason !== reason) {
+            this.flushSkipped();
+        }
+        if (!this.skipped) {
+            this.skipped = { count: 0, firstLine: lineNumber, lastLine: lineNumber, reason };
+        }
+        this.skipped.count++;
+        this.skipped.lastLine = lineNumber;
+    }
+
+    /**
+     * Print the indicator for the current run of skipped records, if any
+     */
+    flushSkipped() {
+        if (this.skipped) {
+            this.write(this.formatter.formatSkippedRecords(this.skipped));
+            this.skipped = null;
+        }
+    }
+
+    /**
+     * Collect the tool_use_ids whose result is an error
+     * --errors-only needs this before formatting, since a call is printed before its result
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<Set<string>>} Failed tool_use_ids
+     */
+    static async findFailedToolIds(filePath) {
+        const failed = new Set();
+        const stream = fs.createReadStream(filePath);
+        const rl = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        });
+
+        try {
+            for await (const line of rl) {
+                // Cheap pre-check: error results always carry an is_error flag or an *_error type
+                if (!line.includes('error')) continue;
+
+                const message = MessageParser.parseLine(line);
+                for (const block of MessageParser.extractContent(message)) {
+                    if (block.type === 'tool_result' && block.isError) {
+                        failed.add(block.id);
+                    }
+                }
+            }
+        } finally {
+            // Ensure streams are always cleaned up
+            rl.close();
+            stream.destroy();
+        }
+
+        return failed;
+    }
+
+    /**
+     * Print the buffered assistant turn, if any
+     */
+    flushTurn() {
+        this.showTurn();
+        this.pendingTurn = null;
+    }
+
+    /**
+     * Print the records of the buffered turn that aren't shown yet, keeping the turn open
+     * The header comes with the first records; later chunks of the same response follow it (--follow)
+     */
+    showTurn() {
+        const turn = this.pendingTurn;
+        if (!turn || turn.shown === turn.records.length) {
+            return;
+        }
+        this.write(turn.shown === 0
+            ? this.formatter.formatTurn(turn.records, turn.number)
+            : this.formatter.formatTurnContinuation(turn.records.slice(turn.shown)));
+        turn.shown = turn.records.length;
+    }
+
+    /**
+     * Print output, prefixing every line with the nesting indent
+     * @param {string} text - Text to print
+     */
+    write(text) {
+        if (!text) {
+            return;
+        }
+        if (!this.indent) {
+            console.log(text);
+            return;
+        }
+        const prefix = this.formatter.theme.paint('separator', this.indent);
+        console.log(text.split('\n').map(line => prefix + line).join('\n'));
+    }
+
+    /**
+     * Process transcript file and output formatted messages
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<void>} Resolves when processing is complete
+     * @throws {Error} If file cannot be read, parse errors occur, or stream fails
+     */
+    async process(filePath) {
+        await this.begin(filePath);
+
+        // Process messages
+        const stream = fs.createReadStream(filePath);
+        const rl = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        });
+
+        // Track line number for error reporting
+        let lineNumber = 0;
+
+        try {
+            for await (const line of rl) {
+                lineNumber++;
+                await this.processLine(line, lineNumber);
+            }
+        } finally {
+            // Ensure streams are always cleaned up
+            rl.close();
+            stream.destroy();
+        }
+
+        this.finish();
+    }
+
+    /**
+     * Render a transcript, then keep rendering records as they are appended (--follow)
+     * Only complete lines are processed; a line still being written is held until its newline arrives.
+     * All state (tool names, turns, branches) carries over between reads.
+     * @param {string} filePath - Path to JSONL transcript file
+     * @param {Object} hooks - Callbacks from the caller
+     * @param {Function} hooks.isStopped - Returns true once following should end (e.g. after Ctrl-C)
+     * @param {Function} [hooks.findNewerSession] - Async; returns the path of a newer session to switch to, or null
+     * @returns {Promise<string|null>} Path of the newer session to follow next, or null when stopped
+     * @throws {Error} If the file cannot be read
+     */
+    async follow(filePath, hooks) {
+        await this.begin(filePath);
+
+        let offset = 0;
+        let lineNumber = 0;
+        // Bytes after the last newline (a record Claude Code is still writing)
+        let partial = Buffer.alloc(0);
+
+        while (!hooks.isStopped()) {
+            const { size } = await fs.promises.stat(filePath);
+            if (size < offset) {
+                console.error(`Warning: ${filePath} was truncated; following from its new end`);
+                offset = size;
+                partial = Buffer.alloc(0);
+            }
+
+            if (size > offset) {
+                const chunk = await TranscriptProcessor.readBytes(filePath, offset, Math.min(size - offset, FOLLOW.chunkSize));
+                offset += chunk.length;
+
+                // Split on the newline byte, which never occurs inside a multi-byte UTF-8 sequence
+                const data = Buffer.concat([partial, chunk]);
+                const end = data.lastIndexOf(0x0a);
+                partial = end === -1 ? data : data.subarray(end + 1);
+                if (end !== -1) {
+                    for (const line of data.subarray(0, end).toString('utf8').split('\n')) {
+                        lineNumber++;
+                        await this.processLine(line.replace(/\r$/, ''), lineNumber);
+                    }
+                }
+                continue;
+            }
+
+            // Caught up: show the turn in progress instead of waiting for the next record,
+            // but keep it open, since the next chunk of the same response can be seconds away
+            this.showTurn();
+
+            const newer = hooks.findNewerSession ? await hooks.findNewerSession() : null;
+            if (newer) {
+                this.finish();
+                return newer;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, FOLLOW.pollInterval));
+        }
+
+        this.finish();
+        return null;
+    }
+
+    /**
+     * Read a byte range of a file
+     * @param {string} filePath - Path to file
+     * @param {number} position - Start offset in bytes
+     * @param {number} length - Number of bytes to read
+     * @returns {Promise<Buffer>} Bytes read (shorter than length at end of file)
+     */
+    static async readBytes(filePath, position, length) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buffer, 0, length, position);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Print the file header and metadata and prepare per-file state
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<void>} Resolves when the file is ready to be processed line by line
+     */
+    async begin(filePath) {
+        const nested = !!this.options.nested;
+
+        // --leaf names a record of the top-level transcript; sub-agents show their active branch
+        // (checked first, so a bad --leaf fails before anything is printed)
+        this.branch = await TranscriptProcessor.selectBranch(filePath, nested ? { ...this.options, leaf: null } : this.options);
+
+        if (!nested) {
+            this.write(this.formatter.formatFileHeader(filePath));
+
+            // Display metadata if requested
+            if (this.options.showMetadata) {
+                const metadata = await MetadataExtractor.extract(filePath);
+                this.write(this.formatter.formatMetadata(metadata));
+            }
+        }
+
+        if (this.options.expandAgents) {
+            this.subAgentLocator = new SubAgentLocator(filePath);
+        }
+
+        if (this.options.errorsOnly) {
+            this.formatter.failedToolIds = await TranscriptProcessor.findFailedToolIds(filePath);
+        }
+
+        // Line/turn selection applies to the top-level transcript, not to inline sub-agents
+        if (!nested) {
+            this.lineRange = await this.resolveLineRange(filePath);
+        }
+    }
+
+    /**
+     * Print everything still buffered and the file footer
+     */
+    finish() {
+        this.flushTurn();
+        this.flushSkipped();
+        this.write(this.formatter.flush());
+        if (!this.options.nested) {
+            this.write(this.formatter.formatFileFooter());
+        }
+    }
+
+    /**
+     * Format and print a single JSONL line
+     * @param {string} line - Raw JSONL line
+     * @param {number} lineNumber - Line number in JSONL file
+     * @returns {Promise<void>} Resolves when the line (and any expanded sub-agent) is printed
+     */
+    async processLine(line, lineNumber) {
+        // Nothing after the selected lines affects the output, so don't even parse them
+        if (this.lineRange && lineNumber > this.lineRange.to) {
+            this.skipRecord(null, lineNumber, this.lineRange.reason);
+            return;
+        }
+
+        const message = MessageParser.parseLine(line, lineNumber);
+
+        if (TranscriptProcessor.startsTurn(message, this.previousMessage)) {
+            this.turnNumber++;
+        }
+        this.previousMessage = message;
+
+        const skipReason = this.getSkipReason(message, lineNumber);
+        if (skipReason) {
+            this.skipRecord(message, lineNumber, skipReason);
+            return;
+        }
+        this.flushSkipped();
+
+        // Streamed chunks of one API response share a requestId; anything else ends the turn
+        const continuesTurn = this.pendingTurn && message.type === 'assistant' &&
+            message.requestId && message.requestId === this.pendingTurn.requestId;
+        if (!continuesTurn) {
+            this.flushTurn();
+        }
+
+        // Banner before records where the conversation branched
+        const branchEvent = this.branchDetector.detect(message, lineNumber);
+        if (branchEvent && this.options.showBranches) {
+            this.write(this.formatter.formatBranchEvent(branchEvent, message, lineNumber));
+        }
+
+        // Sub-agent transcripts go between the SUB-AGENT CALL and its TOOL_RESULT
+        if (this.subAgentLocator) {
+            await this.expandSubAgents(message);
+        }
+
+        // Buffer assistant records so one API response prints under one turn header
+        if (this.options.groupTurns && message.type === 'assistant') {
+            if (!this.pendingTurn) {
+                this.pendingTurn = { requestId: message.requestId, records: [], number: this.turnNumber, shown: 0 };
+            }
+            this.pendingTurn.records.push({ message, lineNumber });
+            return;
+        }
+
+        // Always format the message (including parse errors)
+        // Pass lineNumber for L-prefix display in headers
+        this.write(this.formatter.format(message, lineNumber));
+    }
+
+    /**
+     * Track sub-agent calls and render their transcripts before the matching results
+     * @param {Object} message - Parsed message object
+     * @returns {Promise<void>} Resolves when nested transcripts are printed
+     */
+    async expandSubAgents(message) {
+        const content = Array.isArray(message.message?.content) ? message.message.content : [];
+
+        if (message.type === 'assistant') {
+            for (const block of content) {
+                if (block.type === 'tool_use' && MessageParser.isSubAgent(block.name)) {
+                    this.subAgentCalls.set(block.id, { id: block.id, input: block.input });
+                }
+            }
+            return;
+        }
+
+        if (message.type !== 'user') {
+            return;
+        }
+
+        for (const block of content) {
+            const call = block.type === 'tool_result' && this.subAgentCalls.get(block.tool_use_id);
+            if (!call) continue;
+            this.subAgentCalls.delete(block.tool_use_id);
+            this.write(this.formatter.flushCall(call.id));
+
+            const agentPath = await this.subAgentLocator.find(call, message);
+            if (!agentPath) {
+                this.write(this.formatter.formatSubAgentNotFound(call));
+                continue;
+            }
+
+            this.write(this.formatter.formatSubAgentStart(agentPath, call));
+            const nestedProcessor = new TranscriptProcessor({
+                ...this.options,
+                nested: true,
+                indent: this.indent + this.formatter.getNestingIndent(),
+                anchorPrefix: `${this.formatter.anchorPrefix || ''}${path.basename(agentPath, '.jsonl')}-`,
+            });
+            await nestedProcessor.process(agentPath);
+            this.write(this.formatter.formatSubAgentEnd(agentPath, call));
+        }
+    }
+}
+
+// ================================================================================
+// TRANSCRIPT SEARCH
+// ================================================================================
+
+/**
+ * Full-text regex search across transcripts (`cc-view-transcript search <pattern>`).
+ * Matches against the same decoded block text the viewer displays, not the raw
+ * JSONL, so newlines and quotes in tool inputs/results match as written.
+ */
+class TranscriptSearcher {
+    /**
+     * @param {RegExp} pattern - Pattern to search for
+     * @param {Object} options - Display options (block filters, searchContext, color)
+     */
+    constructor(pattern, options = {}) {
+        this.pattern = pattern;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // Block filters (--no-thinking, --no-tools, --no-system) work as in the viewer
+        this.filter = new MessageFormatter(this.options);
+        this.theme = this.filter.theme;
+        this.context = this.options.searchContext;
+    }
+
+    /**
+     * Flatten a tool input into searchable lines ("key: value", multi-line strings kept as-is)
+     * @param {*} value - Tool input (object, array or scalar)
+     * @param {string} prefix - Key path of the value
+     * @returns {Array<string>} Lines
+     */
+    static flattenInput(value, prefix = '') {
+        if (value && typeof value === 'object') {
+            return Object.entries(value).flatMap(([key, child]) =>
+                TranscriptSearcher.flattenInput(child, prefix ? `${prefix}.${key}` : key)
+            );
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return `${prefix ? `${prefix}: ` : ''}${text}`.split('\n');
+    }
+
+    /**
+     * Get the searchable text of a content block
+     * @param {Object} block - Content block from MessageParser
+     * @returns {Array<string>} Lines of text
+     */
+    static getBlockLines(block) {
+        switch (block.type) {
+            case 'tool_call':
+                return TranscriptSearcher.flattenInput(block.input);
+            case 'parse_error':
+                return [block.preview || ''];
+            default:
+                return (block.text || '').split('\n');
+        }
+    }
+
+    /**
+     * Search one transcript file
+     * @param {Object} session - Session info {path, sessionId, projectDir}
+     * @returns {Promise<Array<Object>>} Hits {session, lineNumber, timestamp, blockType, toolName, lines, matchIndexes}
+     * @throws {Error} If the file cannot be read
+     */
+    async searchFile(session) {
+        const hits = [];
+        // Labels results and drives --tool; a tool_use_id only names a call in the same file
+        this.filter.toolCallMap = new Map();
+
+        if (this.options.errorsOnly) {
+            this.filter.failedToolIds = await TranscriptProcessor.findFailedToolIds(session.path);
+        }
+
+        const stream = fs.createReadStream(session.path);
+        const rl = readline.createInterface({
+            input: stream,
+            crlfDelay: Infinity,
+        });
+
+        let lineNumber = 0;
+
+        try {
+            for await (const line of rl) {
+                lineNumber++;
+                if (!line.trim()) continue;
+
+                const message = MessageParser.parseLine(line, lineNumber);
+                const timeFiltered = this.options.since || this.options.until;
+                if (timeFiltered && !isInTimeRange(message.timestamp, this.options)) {
+                    this.filter.trackToolCalls(message);
+                    continue;
+                }
+
+                for (const block of MessageParser.extractContent(message)) {
+                    if (block.type === 'tool_call') {
+                        // --tool filters results by the name of their call
+                        this.filter.toolCallMap.set(block.id, block.name);
+                    }
+                    if (!this.filter.shouldDisplay(block)) continue;
+
+                    const lines = TranscriptSearcher.getBlockLines(block);
+                    const matchIndexes = [];
+                    lines.forEach((text, i) => {
+                        if (this.pattern.test(text)) matchIndexes.push(i);
+                    });
+                    if (matchIndexes.length === 0) continue;
+
+                    hits.push({
+                        session,
+                        lineNumber,
+                        timestamp: message.timestamp,
+                        blockType: block.type,
+                        toolName: block.type === 'tool_call' ? block.name : this.filter.toolCallMap.get(block.id),
+                        lines,
+                        matchIndexes,
+                    });
+                }
+            }
+        } finally {
+            // Ensure streams are always cleaned up
+            rl.close();
+            stream.destroy();
+        }
+
+        return hits;
+    }
+
+    /**
+     * Shorten a long line to a window around its first match
+     * @param {string} line - Line of text
+     * @param {number} width - Maximum characters to keep
+     * @returns {string} Clipped line with "…" markers where text was cut
+     */
+    clipLine(line, width = 160) {
+        if (line.length <= width) {
+            return line;
+        }
+        const index = Math.max(0, line.search(this.pattern));
+        const start = Math.max(0, Math.min(index - Math.floor(width / 4), line.length - width));
+        const clipped = line.substring(start, start + width);
+        return `${start > 0 ? '…' : ''}${clipped}${start + width < line.length ? '…' : ''}`;
+    }
+
+    /**
+     * Color every match in a line
+     * @param {string} line - Line of text
+     * @returns {string} Line with matches painted
+     */
+    highlight(line) {
+        const global = new RegExp(this.pattern.source, this.pattern.flags.includes('g') ? this.pattern.flags : this.pattern.flags + 'g');
+        return line.replace(global, match => this.theme.paint('match', match));
+    }
+
+    /**
+     * Format a hit: location header, context lines and the command to open it
+     * @param {Object} hit - Hit from searchFile()
+     * @returns {string} Formatted hit
+     */
+    formatHit(hit) {
+        const { session } = hit;
+        const blockLabel = hit.toolName ? `${hit.blockType} (${hit.toolName})` : hit.blockType;
+        const header = [
+            this.theme.paint('heading', session.sessionId),
+            session.projectDir,
+            this.theme.paint('heading', `L${hit.lineNumber}`),
+            blockLabel,
+            ...(hit.timestamp ? [this.theme.paint('suffix', `[${formatLocalIso(hit.timestamp)}]`)] : []),
+        ].join('  ');
+
+        // Merge overlapping context windows around the matching lines
+        const windows = [];
+        for (const index of hit.matchIndexes) {
+            const start = Math.max(0, index - this.context);
+            const end = Math.min(hit.lines.length - 1, index + this.context);
+            const last = windows[windows.length - 1];
+            if (last && start <= last.end + 1) {
+                last.end = end;
+            } else {
+                windows.push({ start, end });
+            }
+        }
+
+        const gutter = this.theme.paint('separator', '    │ ');
+        const lines = [header];
+        for (const [i, { start, end }] of windows.entries()) {
+            if (i > 0) {
+                lines.push(this.theme.paint('separator', '    ┆'));
+            }
+            for (let index = start; index <= end; index++) {
+                const text = this.clipLine(hit.lines[index]);
+                lines.push(gutter + (hit.matchIndexes.includes(index) ? this.highlight(text) : text));
+            }
+        }
+        lines.push(this.theme.paint('suffix', `    → cc-view-transcript ${session.sessionId} --around L${hit.lineNumber}`));
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ================================================================================
+// API EXPORTER
+// ================================================================================
+
+/**
+ * Exports transcript as Anthropic API-compatible messages array.
+ * Reconstructs streaming chunks into complete messages.
+ */
+class ApiExporter {
+    /**
+     * Create an ApiExporter instance
+     * @param {Object} options - Export options
+     * @param {string|null} options.leaf - Export the branch ending in this record (uuid, prefix or L<n>)
+     * @param {boolean} options.allBranches - Export every record in file order (rewound branches included)
+     */
+    constructor(options = {}) {
+        this.leaf = options.leaf || null;
+        this.allBranches = options.allBranches || false;
+    }
+
+    /**
+     * Extract API messages from transcript file
+     * Only the selected branch is exported, so a rewound session yields the conversation Claude saw
+     * @param {string} filePath - Path to JSONL transcript file
+     * @returns {Promise<Object>} Object with messages array, sources (parallel to messages:
+     *   {filePath, line, blockLines} with the JSONL line of each content block) and metadata
+     * @throws {Error} If the file cannot be read or --leaf doesn't identify a record
+     */
+    async extract(filePath) {
+        const branch = await TranscriptProcessor.selectBranch(filePath, {
+            leaf: this.leaf,
+            allBranches: this.allBranches,
+        });
+
+        return new Promise((resolve, reject) => {
+            const stream = fs.createReadStream(filePath);
+            const rl = readline.createInterface({
+                input: stream,
+                crlfDelay: Infinity,
+            });
+
+            // Cleanup function
+            const cleanup = () => {
+                rl.close();
+                stream.destroy();
+            };
+
+            const messages = [];
+            const sources = [];
+            let pendingAssistant = null;  // {requestId, content: [...], source}
+            let hasSummaries = false;
+            let sessionId = null;
+            let model = null;
+            let lineNumber = 0;
+
+            rl.on('line', (line) => {
+                lineNumber++;
+
+                // Parse JSONL line
+                let parsed;
+                try {
+                    parsed = JSON.parse(line);
+                } catch (e) {
+                    return;  // Skip invalid lines
+                }
+
+                // Capture session ID from first message
+                if (!sessionId && parsed.sessionId) {
+                    sessionId = parsed.sessionId;
+                }
+
+                // Skip non-API message types
+                if (parsed.type === 'summary') {
+                    hasSummaries = true;
+                    return;
+                }
+                if (parsed.type === 'system') return;  // Hooks, not API messages
+                if (parsed.isSidechain) return;  // Agent sessions
+                if (branch && BranchDetector.isChainRecord(parsed) && !branch.lines.has(lineNumber)) {
+                    return;  // Abandoned (rewound) branches
+                }
+
+                // Handle user messages
+                if (parsed.type === 'user') {
+                    // Flush pending assistant if any
+                    if (pendingAssistant) {
+                        messages.push({ role: 'assistant', content: pendingAssistant.content });
+                        sources.push(pendingAssistant.source);
+                        pendingAssistant = null;
+                    }
+
+                    const content = parsed.message.content;
+                    const lastMsg = messages[messages.length - 1];
+
+                    // Convert content to array format for merging
+                    const contentAsArray = Array.isArray(content)
+                        ? content
+                        : [{ type: 'text', text: content }];
+                    const blockLines = contentAsArray.map(() => lineNumber);
+
+                    // Merge consecutive user messages into one
+                    if (lastMsg?.role === 'user') {
+                        // Ensure lastMsg.content is an array
+                        if (!Array.isArray(lastMsg.content)) {
+                            lastMsg.content = [{ type: 'text', text: lastMsg.content }];
+                        }
+                        // Append new content blocks
+                        lastMsg.content.push(...contentAsArray);
+                        sources[sources.length - 1].blockLines.push(...blockLines);
+                    } else {
+                        // New user message
+                        messages.push(parsed.message);
+                        sources.push({ filePath, line: lineNumber, blockLines });
+                    }
+                }
+
+                // Handle assistant messages (accumulate by requestId)
+                if (parsed.type === 'assistant' && parsed.message?.content) {
+                    const requestId = parsed.requestId;
+
+                    // Latest real model ("<synthetic>" marks messages Claude Code generated itself)
+                    if (parsed.message.model && !parsed.message.model.startsWith('<')) {
+                        model = parsed.message.model;
+                    }
+
+                    if (pendingAssistant && pendingAssistant.requestId === requestId) {
+                        // Same response, merge content blocks
+                        pendingAssistant.content.push(...parsed.message.content);
+                        pendingAssistant.source.blockLines.push(...parsed.message.content.map(() => lineNumber));
+                    } else {
+                        // New response - flush pending and start new
+                        if (pendingAssistant) {
+                            messages.push({ role: 'assistant', content: pendingAssistant.content });
+                            sources.push(pendingAssistant.source);
+                        }
+                        pendingAssistant = {
+                            requestId,
+                            content: [...parsed.message.content],
+                            source: {
+                                filePath,
+                                line: lineNumber,
+                                blockLines: parsed.message.content.map(() => lineNumber),
+                            },
+                        };
+                    }
+                }
+            });
+
+            rl.on('close', () => {
+                // Flush final pending assistant message
+                if (pendingAssistant) {
+                    messages.push({ role: 'assistant', content: pendingAssistant.content });
+                    sources.push(pendingAssistant.source);
+                }
+
+                cleanup();
+                resolve({
+                    messages,
+                    sources,
+                    metadata: {
+                        sessionId,
+                        model,
+                        messageCount: messages.length,
+                        hasSummaries,
+                    }
+                });
+            });
+
+            rl.on('error', (error) => {
+                cleanup();
+                reject(error);
+            });
+
+            stream.on('error', (error) => {
+                cleanup();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Infer a JSON schema from example values (tool inputs seen in the transcript)
+     * @param {Array} values - Example values (undefined entries are ignored)
+     * @returns {Object} JSON schema
+     */
+    static inferSchema(values) {
+        const typeOf = value => {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+            return typeof value;
+        };
+
+        const examples = values.filter(value => value !== undefined);
+        const types = [...new Set(examples.map(typeOf))];
+        // An integer seen alongside fractions is a number
+        if (types.includes('integer') && types.includes('number')) {
+            types.splice(types.indexOf('integer'), 1);
+        }
+
+        if (types.length === 1 && types[0] === 'object') {
+            const keys = [...new Set(examples.flatMap(example => Object.keys(example)))];
+            const properties = {};
+            for (const key of keys) {
+                properties[key] = ApiExporter.inferSchema(examples.map(example => example[key]));
+            }
+            const required = keys.filter(key => examples.every(example => key in example));
+            return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+        }
+
+        if (types.length === 1 && types[0] === 'array') {
+            const items = examples.flat();
+            return items.length > 0 ? { type: 'array', items: ApiExporter.inferSchema(items) } : { type: 'array' };
+        }
+
+        if (types.length === 0) {
+            return {};
+        }
+        return { type: types.length === 1 ? types[0] : types };
+    }
+
+    /**
+     * Rebuild tool definitions from the tool calls in exported messages
+     * The transcript doesn't store Claude Code's tool definitions, so input schemas are
+     * inferred from the inputs Claude actually sent (keys present in every call are required)
+     * @param {Array<Object>} messages - API messages
+     * @returns {Array<Object>} Tool definitions, in order of first use
+     */
+    static buildTools(messages) {
+        const inputsByName = new Map();
+        const serverTools = new Map();
+
+        for (const message of messages) {
+            if (message.role !== 'assistant' || !Array.isArray(message.content)) continue;
+
+            for (const block of message.content) {
+                if (block.type === 'tool_use') {
+                    if (!inputsByName.has(block.name)) {
+                        inputsByName.set(block.name, []);
+                    }
+                    inputsByName.get(block.name).push(block.input || {});
+                } else if (block.type === 'server_tool_use' && !serverTools.has(block.name)) {
+                    const definition = API_REQUEST.serverTools[block.name];
+                    if (!definition) {
+                        console.error(`Warning: No definition known for server tool ${block.name}; add it with --tools-file`);
+                    }
+                    serverTools.set(block.name, definition || null);
+                }
+            }
+        }
+
+        const tools = [...inputsByName].map(([name, inputs]) => {
+            const schema = ApiExporter.inferSchema(inputs);
+            return {
+                name,
+                description: `${name} tool (reconstructed from ${inputs.length} call${inputs.length === 1 ? '' : 's'} in the transcript)`,
+                input_schema: schema.type === 'object' ? schema : { type: 'object', properties: {} },
             };
+        });
 
-            const messages = [];
-            let pendingAssistant = null;  // {requestId, content: [...]}
-            let hasSummaries = false;
-            let sessionId = null;
+        return [...tools, ...[...serverTools.values()].filter(Boolean)];
+    }
 
-            rl.on('line', (line) => {
-                // Parse JSONL line
-                let parsed;
-                try {
-                    parsed = JSON.parse(line);
-                } catch (e) {
-                    return;  // Skip invalid lines
+    /**
+     * Load tool definitions from a JSON file
+     * @param {string} filePath - JSON file: an array of tool definitions, or an object with a "tools" array
+     * @returns {Promise<Array<Object>>} Tool definitions
+     * @throws {Error} If the file can't be read or isn't a list of named tools
+     */
+    static async loadTools(filePath) {
+        const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        const tools = Array.isArray(data) ? data : data?.tools;
+
+        if (!Array.isArray(tools)) {
+            throw new Error('expected an array of tool definitions or an object with a "tools" array');
+        }
+        for (const [i, tool] of tools.entries()) {
+            if (!tool || typeof tool.name !== 'string') {
+                throw new Error(`tool #${i + 1} has no "name"`);
+            }
+        }
+        return tools;
+    }
+
+    /**
+     * Load a system prompt
+     * A .json file holding a string or an array of text blocks (e.g. with cache_control) is used as-is;
+     * anything else is read as plain text
+     * @param {string} filePath - System prompt file
+     * @returns {Promise<string|Array<Object>>} Value for the request's "system" field
+     * @throws {Error} If the file can't be read or its JSON isn't a string or array
+     */
+    static async loadSystemPrompt(filePath) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        if (!filePath.endsWith('.json')) {
+            return text.replace(/\n$/, '');
+        }
+
+        const data = JSON.parse(text);
+        if (typeof data !== 'string' && !Array.isArray(data)) {
+            throw new Error('expected a JSON string or an array of text blocks');
+        }
+        return data;
+    }
+
+    /**
+     * Build a complete Messages API request body around exported messages
+     * @param {Array<Object>} messages - API messages (from extract())
+     * @param {Object} context - Request settings
+     * @param {string|null} context.model - Model from the transcript
+     * @param {Array<Object>|null} context.tools - Tool definitions from --tools-file (null: rebuild from the calls)
+     * @param {string|Array|null} context.system - System prompt from --system-prompt-file
+     * @param {number|null} context.maxTokens - --max-tokens (default: API_REQUEST.maxTokens)
+     * @param {number|null} context.thinkingBudget - --thinking-budget (default: enabled with half of
+     *        maxTokens, at least the API minimum, if the transcript has thinking blocks; 0 disables)
+     * @returns {Object} Request body: model, max_tokens, system, tools, thinking, messages
+     * @throws {Error} If the model is unknown or the thinking budget doesn't fit
+     */
+    static buildRequest(messages, context) {
+        if (!context.model) {
+            throw new Error('No model found in the transcript (it has no assistant messages)');
+        }
+
+        const maxTokens = context.maxTokens || API_REQUEST.maxTokens;
+        const hasThinking = messages.some(message => message.role === 'assistant' && Array.isArray(message.content) &&
+            message.content.some(block => block.type === 'thinking' || block.type === 'redacted_thinking'));
+        const defaultBudget = Math.max(API_REQUEST.minThinkingBudget, Math.floor(maxTokens * API_REQUEST.thinkingShare));
+        const budget = context.thinkingBudget ?? (hasThinking ? defaultBudget : 0);
+
+        if (budget > 0 && (budget < API_REQUEST.minThinkingBudget || budget >= maxTokens)) {
+            throw new Error(`Thinking budget ${budget} must be at least ${API_REQUEST.minThinkingBudget} and below max_tokens (${maxTokens}); ` +
+                'raise --max-tokens or set --thinking-budget (0 disables thinking)');
+        }
+
+        const tools = context.tools || ApiExporter.buildTools(messages);
+
+        // Calls of tools the request doesn't define make the API reject the conversation
+        const defined = new Set(tools.map(tool => tool.name));
+        const used = new Set(messages.flatMap(message => (Array.isArray(message.content) ? message.content : []))
+            .filter(block => block.type === 'tool_use' || block.type === 'server_tool_use')
+            .map(block => block.name));
+        const missing = [...used].filter(name => !defined.has(name));
+        if (missing.length > 0) {
+            console.error(`Warning: Tools used in the transcript but not defined: ${missing.join(', ')}`);
+        }
+
+        return {
+            model: context.model,
+            max_tokens: maxTokens,
+            ...(context.system ? { system: context.system } : {}),
+            ...(tools.length > 0 ? { tools } : {}),
+            ...(budget > 0 ? { thinking: { type: 'enabled', budget_tokens: budget } } : {}),
+            messages,
+        };
+    }
+
+}
+
+// ================================================================================
+// API VALIDATOR
+// ================================================================================
+
+/**
+ * Checks exported messages against the Messages API's structural rules and repairs them.
+ * Checking is a repair run whose fixes are discarded, so --validate reports exactly what
+ * --repair changes. Consecutive messages of the same role aren't a problem (the API
+ * combines them into one turn), so the rules apply to turns.
+ */
+class ApiValidator {
+    /**
+     * Report the problems the API would reject
+     * @param {Array<Object>} messages - API messages (from ApiExporter.extract)
+     * @param {Array<Object>} sources - Parallel sources ({filePath, line, blockLines})
+     * @returns {Array<Object>} Issues ({filePath, line, problem, fix}) in message order
+     */
+    static validate(messages, sources) {
+        return ApiValidator.repair(messages, sources).issues;
+    }
+
+    /**
+     * Repair messages so the API accepts them
+     * - drops thinking blocks without signature, empty text blocks and empty messages
+     * - merges consecutive messages of the same role (as the API would)
+     * - drops tool_results without a tool_use in the preceding assistant turn
+     * - adds an error tool_result for each tool_use that never got one
+     * - moves tool_results before the other blocks of their user turn
+     * - starts the conversation with a placeholder user turn if it doesn't start with one
+     * @param {Array<Object>} messages - API messages (left unmodified)
+     * @param {Array<Object>} sources - Parallel sources ({filePath, line, blockLines})
+     * @returns {Object} {messages, sources, issues}
+     */
+    static repair(messages, sources) {
+        const issues = [];
+        const report = (source, line, problem, fix) => {
+            issues.push({ filePath: source.filePath, line, problem, fix });
+        };
+
+        // Block-level problems, then merge what's left into turns
+        const turns = [];
+        messages.forEach((message, index) => {
+            const source = sources[index];
+            const blocks = Array.isArray(message.content)
+                ? message.content
+                : [{ type: 'text', text: message.content ?? '' }];
+            const content = [];
+            const blockLines = [];
+
+            blocks.forEach((block, blockIndex) => {
+                const line = source.blockLines[blockIndex] ?? source.line;
+                if (block.type === 'text' && !block.text?.trim()) {
+                    if (blocks.length > 1) {
+                        report(source, line, `empty text block in ${message.role} message`, 'dropped the block');
+                    }
+                    return;
+                }
+                if ((block.type === 'thinking' && !block.signature) || (block.type === 'redacted_thinking' && !block.data)) {
+                    report(source, line, `${block.type} block without signature`, 'dropped the block');
+                    return;
                 }
+                content.push(block);
+                blockLines.push(line);
+            });
 
-                // Capture session ID from first message
-                if (!sessionId && parsed.sessionId) {
-                    sessionId = parsed.sessionId;
+            if (content.length === 0) {
+                report(source, source.line, `${message.role} message without content`, 'dropped the message');
+                return;
+            }
+
+            const last = turns[turns.length - 1];
+            if (last?.message.role === message.role) {
+                last.message.content.push(...content);
+                last.source.blockLines.push(...blockLines);
+            } else {
+                turns.push({
+                    message: { ...message, content },
+                    source: { ...source, blockLines },
+                });
+            }
+        });
+
+        // Tool pairing: every tool_use is answered in the next user turn, every tool_result answers one
+        const result = [];
+        const answer = (assistant, results) => {
+            const answered = new Set(results.map(entry => entry.block.tool_use_id));
+            const added = [];
+            assistant.message.content.forEach((block, blockIndex) => {
+                if (block.type !== 'tool_use' || answered.has(block.id)) return;
+                report(assistant.source, assistant.source.blockLines[blockIndex],
+                    `tool_use ${block.id} (${block.name}) has no tool_result`, 'added an error tool_result');
+                added.push({
+                    block: {
+                        type: 'tool_result',
+                        tool_use_id: block.id,
+                        content: 'Tool call was interrupted before it returned a result',
+                        is_error: true,
+                    },
+                    line: assistant.source.blockLines[blockIndex],
+                });
+            });
+            return added;
+        };
+
+        for (const turn of turns) {
+            const previous = result[result.length - 1];
+
+            if (turn.message.role !== 'user') {
+                // A user turn emptied by dropping orphans leaves two assistant turns to combine
+                if (previous?.message.role === turn.message.role) {
+                    previous.message.content.push(...turn.message.content);
+                    previous.source.blockLines.push(...turn.source.blockLines);
+                } else {
+                    result.push(turn);
                 }
+                continue;
+            }
 
-                // Skip non-API message types
-                if (parsed.type === 'summary') {
-                    hasSummaries = true;
+            const toolUseIds = new Set(previous?.message.role === 'assistant'
+                ? previous.message.content.filter(block => block.type === 'tool_use').map(block => block.id)
+                : []);
+            const results = [];
+            const others = [];
+            let misplaced = null;
+
+            turn.message.content.forEach((block, blockIndex) => {
+                const line = turn.source.blockLines[blockIndex];
+                if (block.type !== 'tool_result') {
+                    others.push({ block, line });
                     return;
                 }
-                if (parsed.type === 'system') return;  // Hooks, not API messages
-                if (parsed.isSidechain) return;  // Agent sessions
+                if (!toolUseIds.has(block.tool_use_id)) {
+                    report(turn.source, line, `tool_result for ${block.tool_use_id} without a tool_use in the preceding assistant turn`,
+                        'dropped the tool_result');
+                    return;
+                }
+                if (others.length > 0 && !misplaced) {
+                    misplaced = line;
+                }
+                results.push({ block, line });
+            });
+
+            if (misplaced) {
+                report(turn.source, misplaced, 'tool_result after other content in the user turn', 'moved tool_results first');
+            }
+            if (previous?.message.role === 'assistant') {
+                results.push(...answer(previous, results));
+            }
+
+            const blocks = [...results, ...others];
+            if (blocks.length === 0) continue;
+            result.push({
+                message: { ...turn.message, content: blocks.map(entry => entry.block) },
+                source: { ...turn.source, blockLines: blocks.map(entry => entry.line) },
+            });
+        }
+
+        // A conversation ending in tool calls still needs their results
+        const last = result[result.length - 1];
+        if (last?.message.role === 'assistant') {
+            const added = answer(last, []);
+            if (added.length > 0) {
+                result.push({
+                    message: { role: 'user', content: added.map(entry => entry.block) },
+                    source: { filePath: last.source.filePath, line: added[0].line, blockLines: added.map(entry => entry.line) },
+                });
+            }
+        }
+
+        if (result.length > 0 && result[0].message.role !== 'user') {
+            const first = result[0].source;
+            report(first, first.line, 'conversation starts with an assistant turn', 'added a placeholder user turn');
+            result.unshift({
+                message: { role: 'user', content: '[Earlier conversation not included]' },
+                source: { filePath: first.filePath, line: first.line, blockLines: [first.line] },
+            });
+        }
+
+        // Fixes are found out of order (missing results only when the next turn is seen)
+        const fileOrder = [...new Set(sources.map(source => source.filePath))];
+        issues.sort((a, b) => fileOrder.indexOf(a.filePath) - fileOrder.indexOf(b.filePath) || a.line - b.line);
+        return {
+            messages: result.map(turn => turn.message),
+            sources: result.map(turn => turn.source),
+            issues,
+        };
+    }
+
+    /**
+     * Format an issue as one report line
+     * @param {Object} issue - Issue from validate() or repair()
+     * @param {Object} options - {withFile: prefix the file name, withFix: append the repair}
+     * @returns {string} e.g. "L42  tool_use toolu_01... (Bash) has no tool_result"
+     */
+    static formatIssue(issue, { withFile = false, withFix = false } = {}) {
+        const location = `${withFile ? `${path.basename(issue.filePath)}:` : ''}L${issue.line}`;
+        return `${location}  ${issue.problem}${withFix ? ` → ${issue.fix}` : ''}`;
+    }
+}
+
+// ================================================================================
+// REQUEST COMPARATOR
+// ================================================================================
+
+/**
+ * Compares an export with a captured real API request for the same session.
+ * Blocks are aligned on their identity (tool ids, thinking signatures, text), so the
+ * differences can be told apart: system-reminders that Claude Code injects at runtime
+ * (never stored in the transcript) are a known gap, everything else is exporter drift.
+ */
+class RequestComparator {
+    /**
+     * Load a captured request body
+     * @param {string} filePath - JSON file: a request body ({messages, ...}) or a messages array
+     * @returns {Promise<Array<Object>>} Request messages
+     * @throws {Error} If the file isn't JSON or has no messages
+     */
+    static async loadRequest(filePath) {
+        const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        const messages = Array.isArray(parsed) ? parsed : parsed?.messages;
+        if (!Array.isArray(messages)) {
+            throw new Error('expected a request body with a "messages" array (or the array itself)');
+        }
+        return messages;
+    }
+
+    /**
+     * Flatten messages into blocks with their position
+     * cache_control is dropped: it's a transport detail Claude Code adds per request
+     * @param {Array<Object>} messages - API messages
+     * @param {Array<Object>|null} sources - Parallel sources from ApiExporter.extract (export side)
+     * @returns {Array<Object>} Blocks ({role, message, block, line, data, key})
+     */
+    static flatten(messages, sources = null) {
+        const blocks = [];
+        messages.forEach((message, messageIndex) => {
+            const content = Array.isArray(message.content)
+                ? message.content
+                : [{ type: 'text', text: message.content }];
+            content.forEach((block, blockIndex) => {
+                const { cache_control, ...data } = block;
+                blocks.push({
+                    role: message.role,
+                    message: messageIndex,
+                    block: blockIndex,
+                    line: sources?.[messageIndex]?.blockLines[blockIndex] ?? null,
+                    data,
+                    key: `${message.role}:${RequestComparator.getIdentity(data)}`,
+                });
+            });
+        });
+        return blocks;
+    }
+
+    /**
+     * Identity of a block for alignment (blocks with the same identity are "the same block")
+     * @param {Object} block - Content block
+     * @returns {string} Identity key
+     */
+    static getIdentity(block) {
+        switch (block.type) {
+            case 'text': return `text:${block.text}`;
+            case 'tool_use': return `tool_use:${block.id}`;
+            case 'tool_result': return `tool_result:${block.tool_use_id}`;
+            case 'thinking': return `thinking:${block.signature || block.thinking}`;
+            case 'redacted_thinking': return `redacted_thinking:${block.data}`;
+            default: return `${block.type}:${JSON.stringify(block)}`;
+        }
+    }
+
+    /**
+     * Remove <system-reminder> sections from all strings in a value
+     * @param {*} value - Block or block field
+     * @returns {*} Copy without reminders
+     */
+    static stripReminders(value) {
+        if (typeof value === 'string') {
+            return value.replace(/\s*<system-reminder>[\s\S]*?<\/system-reminder>\s*/g, '');
+        }
+        if (Array.isArray(value)) {
+            return value
+                .map(item => RequestComparator.stripReminders(item))
+                .filter(item => !(item?.type === 'text' && item.text === ''));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, RequestComparator.stripReminders(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Align two block lists, keeping order (greedy: on a mismatch, skip the block that
+     * doesn't occur on the other side, or the shorter way to the next common block)
+     * @param {Array<Object>} left - Export blocks
+     * @param {Array<Object>} right - Request blocks
+     * @returns {Array<Array<number>>} Matched [leftIndex, rightIndex] pairs
+     */
+    static align(left, right) {
+        const indexPositions = blocks => {
+            const positions = new Map();
+            blocks.forEach((block, index) => {
+                if (!positions.has(block.key)) positions.set(block.key, []);
+                positions.get(block.key).push(index);
+            });
+            return positions;
+        };
+        const leftPositions = indexPositions(left);
+        const rightPositions = indexPositions(right);
+        const nextPosition = (positions, key, from) => (positions.get(key) || []).find(index => index >= from) ?? -1;
+
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length && j < right.length) {
+            if (left[i].key === right[j].key) {
+                pairs.push([i++, j++]);
+                continue;
+            }
+            const inRight = nextPosition(rightPositions, left[i].key, j);
+            const inLeft = nextPosition(leftPositions, right[j].key, i);
+            if (inRight < 0) {
+                i++;
+            } else if (inLeft < 0) {
+                j++;
+            } else if (inRight - j <= inLeft - i) {
+                j++;
+            } else {
+                i++;
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Compare exported messages with a captured request
+     * @param {Array<Object>} exported - Messages from ApiExporter.extract
+     * @param {Array<Object>} sources - Sources from ApiExporter.extract
+     * @param {Array<Object>} requested - Messages of the captured request
+     * @returns {Object} Comparison ({exported, requested, matched, injections, missing, extra,
+     *   changed, merges, exportTail, requestTail}); differences hold blocks (and details)
+     */
+    static compare(exported, sources, requested) {
+        const left = RequestComparator.flatten(exported, sources);
+        const right = RequestComparator.flatten(requested);
+        const pairs = RequestComparator.align(left, right);
+        const comparison = {
+            exported: { messages: exported.length, blocks: left.length },
+            requested: { messages: requested.length, blocks: right.length },
+            matched: pairs.length,
+            injections: [],
+            missing: [],
+            extra: [],
+            changed: [],
+            merges: [],
+            exportTail: [],
+            requestTail: [],
+        };
+
+        // Blocks with the same identity can still differ (tool_result content, is_error, ...)
+        for (const [i, j] of pairs) {
+            if (!RequestComparator.isEqual(left[i].data, right[j].data)) {
+                RequestComparator.comparePair(left[i], right[j], comparison);
+            }
+        }
+
+        // Unmatched blocks between two matches (or before the first) are compared as a gap;
+        // messages after the last match were recorded later (export) or are the new turn (request)
+        const bounds = [[-1, -1], ...pairs];
+        for (const [k, [leftStart, rightStart]] of bounds.entries()) {
+            const [leftEnd, rightEnd] = pairs[k] || [left.length, right.length];
+            let gapLeft = left.slice(leftStart + 1, leftEnd);
+            let gapRight = right.slice(rightStart + 1, rightEnd);
+            if (k === pairs.length && pairs.length > 0) {
+                comparison.exportTail.push(...gapLeft.filter(block => block.message > left[leftStart].message));
+                comparison.requestTail.push(...gapRight.filter(block => block.message > right[rightStart].message));
+                gapLeft = gapLeft.filter(block => block.message === left[leftStart].message);
+                gapRight = gapRight.filter(block => block.message === right[rightStart].message);
+            }
+            RequestComparator.compareGap(gapLeft, gapRight, comparison);
+        }
+
+        // Block boundaries that one side merges into a message and the other doesn't
+        const seen = new Set();
+        for (let k = 1; k < pairs.length; k++) {
+            const [leftA, rightA] = pairs[k - 1].map((index, side) => (side === 0 ? left : right)[index]);
+            const [leftB, rightB] = pairs[k].map((index, side) => (side === 0 ? left : right)[index]);
+            const leftMerged = leftA.message === leftB.message;
+            const rightMerged = rightA.message === rightB.message;
+            const id = `${leftA.message}:${leftB.message}:${rightA.message}:${rightB.message}`;
+            if (leftMerged === rightMerged || seen.has(id)) continue;
+            seen.add(id);
+            comparison.merges.push({
+                exportBlocks: [leftA, leftB],
+                requestBlocks: [rightA, rightB],
+                detail: leftMerged
+                    ? `export merges request messages ${rightA.message + 1} and ${rightB.message + 1}`
+                    : `export splits request message ${rightA.message + 1}`,
+            });
+        }
+
+        // Matched pairs were classified first; report in request (or export) order
+        const position = entry => entry.requestBlock || entry.exportBlock;
+        for (const list of [comparison.injections, comparison.missing, comparison.extra, comparison.changed]) {
+            list.sort((a, b) => position(a).message - position(b).message || position(a).block - position(b).block);
+        }
+
+        return comparison;
+    }
+
+    /**
+     * Classify the unmatched blocks between two matches
+     * Request-only reminders are injections; same role and type on both sides is a changed block
+     * @param {Array<Object>} gapLeft - Unmatched export blocks
+     * @param {Array<Object>} gapRight - Unmatched request blocks
+     * @param {Object} comparison - Comparison to add to
+     */
+    static compareGap(gapLeft, gapRight, comparison) {
+        const unpaired = [...gapLeft];
+        for (const right of gapRight) {
+            if (right.data.type === 'text' && right.data.text.trimStart().startsWith('<system-reminder>')) {
+                comparison.injections.push({ requestBlock: right });
+                continue;
+            }
+
+            const index = unpaired.findIndex(left => left.role === right.role && left.data.type === right.data.type);
+            if (index < 0) {
+                comparison.missing.push({ requestBlock: right });
+                continue;
+            }
+            const [left] = unpaired.splice(index, 1);
+            RequestComparator.comparePair(left, right, comparison);
+        }
+        comparison.extra.push(...unpaired.map(left => ({ exportBlock: left })));
+    }
+
+    /**
+     * Classify two corresponding blocks that differ: a reminder injected into the block or a change
+     * @param {Object} left - Export block
+     * @param {Object} right - Request block
+     * @param {Object} comparison - Comparison to add to
+     */
+    static comparePair(left, right, comparison) {
+        if (RequestComparator.isEqual(left.data, RequestComparator.stripReminders(right.data))) {
+            comparison.injections.push({ requestBlock: right, exportBlock: left, detail: `system-reminder inside ${right.data.type}` });
+        } else {
+            comparison.changed.push({ exportBlock: left, requestBlock: right, detail: RequestComparator.describeChange(left.data, right.data) });
+        }
+    }
+
+    /**
+     * Structural equality of JSON values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     */
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => RequestComparator.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Describe how two blocks of the same type differ
+     * @param {Object} exported - Export block
+     * @param {Object} requested - Request block
+     * @returns {string} e.g. 'is_error: export false, request absent' or 'content differs at …'
+     */
+    static describeChange(exported, requested) {
+        const show = value => (value === undefined ? 'absent' : JSON.stringify(value));
+        const keys = [...new Set([...Object.keys(exported), ...Object.keys(requested)])];
+        return keys
+            .filter(key => !RequestComparator.isEqual(exported[key], requested[key]))
+            .map(key => {
+                const [a, b] = [exported[key], requested[key]];
+                if (a === undefined || b === undefined || (typeof a !== 'object' && typeof b !== 'object' && show(a).length + show(b).length < 60)) {
+                    return `${key}: export ${show(a)}, request ${show(b)}`;
+                }
+                // Long values: show where they start to differ
+                const [textA, textB] = [a, b].map(value => (typeof value === 'string' ? value : JSON.stringify(value)));
+                let at = 0;
+                while (at < textA.length && textA[at] === textB[at]) at++;
+                const excerpt = text => JSON.stringify(SessionLister.clip(text.substring(Math.max(0, at - 10), at + 30), 40));
+                return `${key} differs at char ${at}: export ${excerpt(textA)}, request ${excerpt(textB)}`;
+            })
+            .join('; ');
+    }
+
+    /**
+     * Describe a block in one line
+     * @param {Object} block - Flattened block
+     * @returns {string} e.g. 'user tool_result toolu_01…' or 'assistant text "Done! …"'
+     */
+    static describeBlock(block) {
+        const { data } = block;
+        switch (data.type) {
+            case 'text': return `${block.role} text ${JSON.stringify(SessionLister.clip(data.text, 60))}`;
+            case 'thinking': return `${block.role} thinking ${JSON.stringify(SessionLister.clip(data.thinking || '', 50))}`;
+            case 'tool_use': return `${block.role} tool_use ${data.name} ${data.id}`;
+            case 'tool_result': return `${block.role} tool_result ${data.tool_use_id}`;
+            default: return `${block.role} ${data.type}`;
+        }
+    }
+
+    /**
+     * Location of a block: JSONL line (export) or message.block (request, 1-based)
+     * @param {Object} block - Flattened block
+     * @returns {string} e.g. 'L42' or 'request 3.2'
+     */
+    static locate(block) {
+        return block.line !== null ? `L${block.line}` : `request ${block.message + 1}.${block.block + 1}`;
+    }
+
+    /**
+     * Check whether the comparison shows exporter drift (anything but known gaps)
+     * @param {Object} comparison - Result of compare()
+     * @returns {number} Number of differences that aren't runtime injections or tails
+     */
+    static countDrift(comparison) {
+        return comparison.missing.length + comparison.extra.length + comparison.changed.length + comparison.merges.length;
+    }
+
+    /**
+     * Format a comparison as a report
+     * @param {Object} comparison - Result of compare()
+     * @param {ColorTheme} theme - Theme for markers
+     * @returns {string} Report
+     */
+    static format(comparison, theme) {
+        const { locate, describeBlock } = RequestComparator;
+        const lines = [
+            `Export:  ${comparison.exported.messages} messages, ${comparison.exported.blocks} blocks`,
+            `Request: ${comparison.requested.messages} messages, ${comparison.requested.blocks} blocks`,
+            `Matched: ${comparison.matched} blocks`,
+        ];
+        const section = (title, entries, marker, style, describe) => {
+            if (entries.length === 0) return;
+            lines.push('', theme.paint('heading', `${title} (${entries.length}):`));
+            for (const entry of entries) {
+                lines.push(`  ${theme.paint(style, marker)} ${describe(entry)}`);
+            }
+        };
+
+        section('Runtime injections only in the request, a known gap', comparison.injections, '·', 'hidden', entry =>
+            `${locate(entry.requestBlock)}  ${entry.detail ? `${entry.detail} (${describeBlock(entry.exportBlock)}, ${locate(entry.exportBlock)})` : describeBlock(entry.requestBlock)}`);
+        section('Missing from the export', comparison.missing, '-', 'diff_remove', entry =>
+            `${locate(entry.requestBlock)}  ${describeBlock(entry.requestBlock)}`);
+        section('Extra in the export', comparison.extra, '+', 'diff_add', entry =>
+            `${locate(entry.exportBlock)}  ${describeBlock(entry.exportBlock)}`);
+        section('Changed', comparison.changed, '~', 'branch', entry =>
+            `${locate(entry.exportBlock)} ↔ ${locate(entry.requestBlock)}  ${describeBlock(entry.exportBlock)}: ${entry.detail}`);
+        section('Merge differences', comparison.merges, '≠', 'branch', entry =>
+            `${locate(entry.exportBlocks[0])}–${locate(entry.exportBlocks[1])} ↔ ` +
+            `${locate(entry.requestBlocks[0])}–${locate(entry.requestBlocks[1]).replace('request ', '')}  ${entry.detail}`);
+
+        const tails = [
+            ...comparison.requestTail.map(block => `${locate(block)}  ${describeBlock(block)} (the request's new turn)`),
+            ...(comparison.exportTail.length > 0
+                ? [`${locate(comparison.exportTail[0])}–${locate(comparison.exportTail[comparison.exportTail.length - 1])}  ` +
+                    `${comparison.exportTail.length} export blocks recorded after the request was sent`]
+                : []),
+        ];
+        section('Not compared, after the last matching block', tails, '?', 'hidden', tail => tail);
+
+        const drift = RequestComparator.countDrift(comparison);
+        lines.push('', drift > 0
+            ? theme.paint('error', `${drift} difference${drift === 1 ? '' : 's'} beyond runtime injections: exporter drift`)
+            : 'No drift: the export matches the request apart from runtime injections');
+        return lines.join('\n');
+    }
+}
+
+// ================================================================================
+// CHAT FORMAT CONVERTER
+// ================================================================================
+
+/**
+ * Converts exported Anthropic messages to other chat formats (--export).
+ * Tool calls stay paired with their results: OpenAI by tool_call_id, ShareGPT by order.
+ * That only holds for repaired messages (ApiValidator.repair): an orphaned result would be
+ * paired with the wrong call. Content without an equivalent is counted in `dropped` so the
+ * caller can report it.
+ */
+class ChatFormatConverter {
+    /**
+     * Create a converter
+     * @param {Object} options - Conversion options
+     * @param {string|null} options.thinkingField - Put thinking text into this field of assistant
+     *   messages (e.g. 'reasoning_content'); dropped if null
+     * @param {string} options.textField - ShareGPT field for text next to tool calls or tool results
+     */
+    constructor(options = {}) {
+        this.thinkingField = options.thinkingField || null;
+        this.textField = options.textField || DEFAULT_OPTIONS.textField;
+        this.dropped = new Map();  // Block description -> count
+    }
+
+    /**
+     * Count content that has no place in the target format
+     * @param {string} what - Description, e.g. 'image blocks'
+     */
+    drop(what) {
+        this.dropped.set(what, (this.dropped.get(what) || 0) + 1);
+    }
 
-                // Handle user messages
-                if (parsed.type === 'user') {
-                    // Flush pending assistant if any
-                    if (pendingAssistant) {
-                        messages.push({ role: 'assistant', content: pendingAssistant.content });
-                        pendingAssistant = null;
-                    }
+    /**
+     * Flatten content (message content or tool_result content) to text
+     * @param {string|Array} content - Content
+     * @param {string} context - Where the content is, for drop() descriptions
+     * @returns {string} Text blocks joined by blank lines
+     */
+    getText(content, context) {
+        if (typeof content === 'string') return content;
+        if (!Array.isArray(content)) return '';
 
-                    const content = parsed.message.content;
-                    const lastMsg = messages[messages.length - 1];
+        const parts = [];
+        for (const block of content) {
+            if (block.type === 'text') {
+                parts.push(block.text);
+            } else {
+                this.drop(`${block.type} blocks in ${context}`);
+            }
+        }
+        return parts.join('\n\n');
+    }
 
-                    // Convert content to array format for merging
-                    const contentAsArray = Array.isArray(content)
-                        ? content
-                        : [{ type: 'text', text: content }];
+    /**
+     * Split assistant content into text, thinking and tool calls
+     * @param {Array} content - Assistant content blocks
+     * @returns {Object} {text, thinking, calls: [{id, name, input}]}
+     */
+    splitAssistant(content) {
+        const text = [];
+        const thinking = [];
+        const calls = [];
+        for (const block of content) {
+            if (block.type === 'text') {
+                text.push(block.text);
+            } else if (block.type === 'thinking') {
+                thinking.push(block.thinking);
+            } else if (block.type === 'tool_use') {
+                calls.push({ id: block.id, name: block.name, input: block.input });
+            } else {
+                // redacted_thinking, server tool calls and their results
+                this.drop(`${block.type} blocks`);
+            }
+        }
+        return { text: text.join('\n\n'), thinking: thinking.join('\n\n'), calls };
+    }
 
-                    // Merge consecutive user messages into one
-                    if (lastMsg?.role === 'user') {
-                        // Ensure lastMsg.content is an array
-                        if (!Array.isArray(lastMsg.content)) {
-                            lastMsg.content = [{ type: 'text', text: lastMsg.content }];
-                        }
-                        // Append new content blocks
-                        lastMsg.content.push(...contentAsArray);
-                    } else {
-                        // New user message
-                        messages.push(parsed.message);
-                    }
-                }
+    /**
+     * Sort a user message's tool results into the order of the calls they answer
+     * @param {Array} content - User content blocks
+     * @param {Array<Object>} calls - Calls of the preceding assistant message
+     * @returns {Array<Object>} tool_result blocks
+     */
+    static getResults(content, calls) {
+        const order = new Map(calls.map((call, index) => [call.id, index]));
+        return content
+            .filter(block => block.type === 'tool_result')
+            .sort((a, b) => (order.get(a.tool_use_id) ?? Infinity) - (order.get(b.tool_use_id) ?? Infinity));
+    }
 
-                // Handle assistant messages (accumulate by requestId)
-                if (parsed.type === 'assistant' && parsed.message?.content) {
-                    const requestId = parsed.requestId;
+    /**
+     * Convert to OpenAI Chat Completions messages
+     * tool_use becomes tool_calls (arguments as JSON string), tool_result a role "tool" message
+     * @param {Array<Object>} messages - Repaired Anthropic API messages (see ApiValidator.repair)
+     * @returns {Array<Object>} OpenAI messages
+     */
+    toOpenAI(messages) {
+        const result = [];
+        for (const message of messages) {
+            const content = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+
+            if (message.role === 'assistant') {
+                const { text, thinking, calls } = this.splitAssistant(content);
+                const keepThinking = this.thinkingField && thinking;
+                if (!text && calls.length === 0 && !keepThinking) continue;
+                result.push({
+                    role: 'assistant',
+                    content: text || (calls.length > 0 ? null : ''),
+                    ...(keepThinking ? { [this.thinkingField]: thinking } : {}),
+                    ...(calls.length > 0 ? {
+                        tool_calls: calls.map(call => ({
+                            id: call.id,
+                            type: 'function',
+                            function: { name: call.name, arguments: JSON.stringify(call.input ?? {}) },
+                        })),
+                    } : {}),
+                });
+                continue;
+            }
 
-                    if (pendingAssistant && pendingAssistant.requestId === requestId) {
-                        // Same response, merge content blocks
-                        pendingAssistant.content.push(...parsed.message.content);
-                    } else {
-                        // New response - flush pending and start new
-                        if (pendingAssistant) {
-                            messages.push({ role: 'assistant', content: pendingAssistant.content });
-                        }
-                        pendingAssistant = {
-                            requestId,
-                            content: [...parsed.message.content]
-                        };
-                    }
+            // Tool results first (they must follow the assistant message), then the user's own content
+            for (const block of content.filter(block => block.type === 'tool_result')) {
+                result.push({ role: 'tool', tool_call_id: block.tool_use_id, content: this.getText(block.content, 'tool results') });
+            }
+            const parts = [];
+            for (const block of content) {
+                if (block.type === 'text') {
+                    parts.push({ type: 'text', text: block.text });
+                } else if (block.type === 'image' && block.source?.type === 'base64') {
+                    parts.push({ type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+                } else if (block.type === 'image' && block.source?.type === 'url') {
+                    parts.push({ type: 'image_url', image_url: { url: block.source.url } });
+                } else if (block.type !== 'tool_result') {
+                    this.drop(`${block.type} blocks in user messages`);
                 }
-            });
+            }
+            if (parts.length > 0) {
+                const textOnly = parts.every(part => part.type === 'text');
+                result.push({ role: 'user', content: textOnly ? parts.map(part => part.text).join('\n\n') : parts });
+            }
+        }
+        return result;
+    }
 
-            rl.on('close', () => {
-                // Flush final pending assistant message
-                if (pendingAssistant) {
-                    messages.push({ role: 'assistant', content: pendingAssistant.content });
-                }
+    /**
+     * Convert to a ShareGPT conversation (from: human, gpt, function_call, observation)
+     * Loaders require the two sides to alternate (human/observation, gpt/function_call), so
+     * every turn becomes exactly one entry:
+     * - an assistant turn with tool calls is one function_call, a JSON array of {name, arguments};
+     *   text next to the calls goes into the textField of the entry
+     * - a user turn with tool results is one observation: the result text, or a JSON array of
+     *   the texts in call order for parallel calls; the user's own text goes into the textField
+     * - a final user turn has no reply to train on and is dropped
+     * @param {Array<Object>} messages - Repaired Anthropic API messages (see ApiValidator.repair)
+     * @returns {Array<Object>} Conversation entries ({from, value})
+     */
+    toShareGPT(messages) {
+        // Consecutive messages of one role are one turn (as in the Messages API)
+        const turns = [];
+        for (const message of messages) {
+            const content = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+            const last = turns[turns.length - 1];
+            if (last?.role === message.role) {
+                last.content.push(...content);
+            } else {
+                turns.push({ role: message.role, content: [...content] });
+            }
+        }
+        if (turns[turns.length - 1]?.role === 'user') {
+            turns.pop();
+            this.drop('final user turns without a reply');
+        }
 
-                cleanup();
-                resolve({
-                    messages,
-                    metadata: {
-                        sessionId,
-                        messageCount: messages.length,
-                        hasSummaries,
-                    }
+        const conversation = [];
+        let calls = [];
+        for (const turn of turns) {
+            if (turn.role === 'assistant') {
+                const split = this.splitAssistant(turn.content);
+                calls = split.calls;
+                const thinking = this.thinkingField && split.thinking ? { [this.thinkingField]: split.thinking } : {};
+                if (calls.length === 0) {
+                    conversation.push({ from: 'gpt', value: split.text, ...thinking });
+                    continue;
+                }
+                conversation.push({
+                    from: 'function_call',
+                    value: JSON.stringify(calls.map(call => ({ name: call.name, arguments: call.input ?? {} }))),
+                    ...(split.text ? { [this.textField]: split.text } : {}),
+                    ...thinking,
                 });
-            });
-
-            rl.on('error', (error) => {
-                cleanup();
-                reject(error);
-            });
+                continue;
+            }
 
-            stream.on('error', (error) => {
-                cleanup();
-                reject(error);
+            const results = ChatFormatConverter.getResults(turn.content, calls)
+                .map(block => this.getText(block.content, 'tool results'));
+            const text = this.getText(turn.content.filter(block => block.type !== 'tool_result'), 'user messages');
+            calls = [];
+            if (results.length === 0) {
+                conversation.push({ from: 'human', value: text });
+                continue;
+            }
+            conversation.push({
+                from: 'observation',
+                value: results.length === 1 ? results[0] : JSON.stringify(results),
+                ...(text ? { [this.textField]: text } : {}),
             });
-        });
+        }
+        return conversation;
     }
 }
 
@@ -1446,61 +7109,348 @@ class CLI {
                 process.exit(0);
             }
 
-            switch (arg) {
+            // --color=<mode> form
+            if (arg.startsWith('--color=')) {
+                const mode = arg.slice('--color='.length);
+                if (!COLOR_MODES.includes(mode)) {
+                    console.error(`Error: --color requires one of: ${COLOR_MODES.join(', ')}`);
+                    console.error(`Example: --color=never`);
+                    process.exit(1);
+                }
+                options.color = mode;
+                continue;
+            }
+
+            switch (arg) {
+
+                case '--color':
+                    options.color = 'always';
+                    break;
+
+                case '--no-color':
+                    options.color = 'never';
+                    break;
+
+                case '-v':
+                case '--verbose':
+                    options.verbose = true;
+                    break;
+
+                case '--no-thinking':
+                    options.showThinking = false;
+                    break;
+
+                case '--no-tools':
+                    options.showToolCalls = false;
+                    options.showToolResults = false;
+                    break;
+
+                case '--no-metadata':
+                    options.showMetadata = false;
+                    break;
+
+                case '--truncate':
+                    options.truncateTools = true;
+                    break;
+
+                case '--max-length':
+                    i++;
+                    // Check if next arg exists and isn't a flag
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error(`Error: --max-length requires a numeric value`);
+                        console.error(`Example: --max-length 1000`);
+                        process.exit(1);
+                    }
+                    const maxLength = parseInt(args[i], 10);
+                    if (isNaN(maxLength) || maxLength <= 0) {
+                        console.error(`Error: --max-length must be a positive number`);
+                        console.error(`Got: "${args[i]}"`);
+                        console.error(`Example: --max-length 1000`);
+                        process.exit(1);
+                    }
+                    options.maxToolLength = maxLength;
+                    break;
+
+                case '--no-system':
+                    options.showSystemMessages = false;
+                    break;
+
+                case '--no-timestamps':
+                    options.showTimestamps = false;
+                    break;
+
+                case '--no-group':
+                    options.groupTurns = false;
+                    break;
+
+                case '--no-usage':
+                    options.showUsage = false;
+                    break;
+
+                case '--cost':
+                    options.showCost = true;
+                    break;
+
+                case '--pricing':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error(`Error: --pricing requires a JSON file path`);
+                        console.error(`Example: --pricing ./pricing.json`);
+                        process.exit(1);
+                    }
+                    options.pricingFile = args[i];
+                    options.showCost = true;
+                    break;
+
+                case '--no-branches':
+                    options.showBranches = false;
+                    break;
+
+                case '--api-json':
+                    options.apiJson = true;
+                    break;
+
+                case '--validate':
+                    options.apiJson = true;
+                    options.validate = true;
+                    break;
+
+                case '--repair':
+                    options.apiJson = true;
+                    options.repair = true;
+                    break;
+
+                case '--export':
+                    i++;
+                    if (i >= args.length || !EXPORT_FORMATS.includes(args[i])) {
+                        console.error(`Error: --export requires a format: ${EXPORT_FORMATS.join(', ')}`);
+                        console.error('Example: --export openai');
+                        process.exit(1);
+                    }
+                    options.exportFormat = args[i];
+                    options.apiJson = true;
+                    break;
+
+                case '--thinking-field':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error('Error: --thinking-field requires a field name');
+                        console.error('Example: --export openai --thinking-field reasoning_content');
+                        process.exit(1);
+                    }
+                    options.thinkingField = args[i];
+                    break;
+
+                case '--text-field':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error('Error: --text-field requires a field name');
+                        console.error('Example: --export sharegpt --text-field content');
+                        process.exit(1);
+                    }
+                    options.textField = args[i];
+                    break;
+
+                case '--compare-request':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error('Error: --compare-request requires the captured request file');
+                        console.error('Example: --compare-request ./abc_real_claude_code_request.json');
+                        process.exit(1);
+                    }
+                    options.compareRequest = args[i];
+                    break;
+
+                case '--api-request':
+                    options.apiJson = true;
+                    options.apiRequest = true;
+                    break;
+
+                case '--system-prompt-file':
+                case '--tools-file':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error(`Error: ${arg} requires a file path`);
+                        console.error(`Example: ${arg} ${arg === '--tools-file' ? './tools.json' : './system-prompt.md'}`);
+                        process.exit(1);
+                    }
+                    options[arg === '--tools-file' ? 'toolsFile' : 'systemPromptFile'] = args[i];
+                    options.apiJson = true;
+                    options.apiRequest = true;
+                    break;
+
+                case '--max-tokens':
+                case '--thinking-budget': {
+                    i++;
+                    const tokens = i < args.length ? Number(args[i]) : NaN;
+                    if (!Number.isInteger(tokens) || tokens < 0 || (arg === '--max-tokens' && tokens === 0)) {
+                        console.error(`Error: ${arg} requires a ${arg === '--max-tokens' ? 'positive' : 'non-negative'} number of tokens`);
+                        console.error(`Example: ${arg} ${arg === '--max-tokens' ? '16000' : '8000 (0 disables thinking)'}`);
+                        process.exit(1);
+                    }
+                    options[arg === '--max-tokens' ? 'maxTokens' : 'thinkingBudget'] = tokens;
+                    options.apiJson = true;
+                    options.apiRequest = true;
+                    break;
+                }
+
+                case '--list':
+                    options.list = true;
+                    break;
+
+                case '--json':
+                    options.json = true;
+                    break;
+
+                case '--reindex':
+                    options.reindex = true;
+                    break;
+
+                case '--leaf':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error('Error: --leaf requires a record uuid (or prefix) or a line reference');
+                        console.error('Example: --leaf 6b107e65 or --leaf L450');
+                        process.exit(1);
+                    }
+                    options.leaf = args[i];
+                    break;
+
+                case '--all-branches':
+                    options.allBranches = true;
+                    break;
+
+                case '--tree':
+                    options.showTree = true;
+                    break;
+
+                case '--projects-dir':
+                    i++;
+                    if (i >= args.length || args[i].startsWith('-')) {
+                        console.error('Error: --projects-dir requires a directory');
+                        console.error('Example: --projects-dir ./ci-artifacts/.claude/projects');
+                        process.exit(1);
+                    }
+                    options.projectsDirs = [...(options.projectsDirs || []), args[i]];
+                    break;
+
+                case '--compact':
+                    options.outputFormat = 'compact';
+                    break;
+
+                case '--minimal':
+                    options.outputFormat = 'minimal';
+                    break;
+
+                case '--html':
+                    options.format = 'html';
+                    break;
+
+                case '--format':
+                    i++;
+                    if (i >= args.length || !OUTPUT_FORMATS.includes(args[i])) {
+                        console.error(`Error: --format requires one of: ${OUTPUT_FORMATS.join(', ')}`);
+                        console.error(`Example: --format markdown`);
+                        process.exit(1);
+                    }
+                    options.format = args[i];
+                    break;
+
+                case '--raw-tools':
+                    options.rawTools = true;
+                    break;
 
-                case '--no-thinking':
-                    options.showThinking = false;
+                case '--expand-agents':
+                    options.expandAgents = true;
                     break;
 
-                case '--no-tools':
-                    options.showToolCalls = false;
-                    options.showToolResults = false;
+                case '--exclude-agents':
+                    options.includeAgents = false;
                     break;
 
-                case '--no-metadata':
-                    options.showMetadata = false;
+                case '--latest':
+                    options.latest = true;
                     break;
 
-                case '--truncate':
-                    options.truncateTools = true;
+                case '-f':
+                case '--follow':
+                    options.follow = true;
                     break;
 
-                case '--max-length':
+                case '--tool':
                     i++;
-                    // Check if next arg exists and isn't a flag
                     if (i >= args.length || args[i].startsWith('-')) {
-                        console.error(`Error: --max-length requires a numeric value`);
-                        console.error(`Example: --max-length 1000`);
+                        console.error(`Error: --tool requires a comma-separated list of tool names`);
+                        console.error(`Example: --tool Bash,Edit`);
                         process.exit(1);
                     }
-                    const maxLength = parseInt(args[i], 10);
-                    if (isNaN(maxLength) || maxLength <= 0) {
-                        console.error(`Error: --max-length must be a positive number`);
-                        console.error(`Got: "${args[i]}"`);
-                        console.error(`Example: --max-length 1000`);
+                    options.toolFilter = args[i].split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+                    break;
+
+                case '--only': {
+                    i++;
+                    const types = i < args.length ? args[i].split(',').map(type => type.trim()).filter(Boolean) : [];
+                    const invalid = types.filter(type => !BLOCK_TYPES.includes(type));
+                    if (types.length === 0 || invalid.length > 0) {
+                        console.error(`Error: --only requires a comma-separated list of: ${BLOCK_TYPES.join(', ')}`);
+                        if (invalid.length > 0) {
+                            console.error(`Got: "${invalid.join(', ')}"`);
+                        }
+                        console.error(`Example: --only human,text`);
                         process.exit(1);
                     }
-                    options.maxToolLength = maxLength;
+                    options.onlyTypes = types;
                     break;
+                }
 
-                case '--no-system':
-                    options.showSystemMessages = false;
+                case '--errors-only':
+                    options.errorsOnly = true;
                     break;
 
-                case '--no-timestamps':
-                    options.showTimestamps = false;
+                case '--lines':
+                case '--around':
+                case '--turn':
+                case '--last':
+                    i++;
+                    if (options.selection) {
+                        console.error(`Error: ${arg} can't be combined with ${options.selection.label.split(' ')[0]}`);
+                        process.exit(1);
+                    }
+                    options.selection = this.parseSelection(arg, args[i]);
                     break;
 
-                case '--api-json':
-                    options.apiJson = true;
+                case '--since':
+                case '--until':
+                    i++;
+                    if (i >= args.length) {
+                        console.error(`Error: ${arg} requires a time`);
+                        console.error(`Example: ${arg} 2h, ${arg} yesterday, ${arg} 2025-12-29, ${arg} "2025-12-29 14:00"`);
+                        process.exit(1);
+                    }
+                    try {
+                        options[arg.slice(2)] = parseTimeSpec(args[i], arg === '--until');
+                    } catch (error) {
+                        console.error(`Error: ${arg}: ${error.message}`);
+                        console.error(`Accepted: 2h, 30m, 3d, 1w, now, today, yesterday, 2025-12-29, "2025-12-29 14:00", ISO timestamps`);
+                        process.exit(1);
+                    }
                     break;
 
-                case '--exclude-agents':
-                    options.includeAgents = false;
+                case '-i':
+                case '--ignore-case':
+                    options.ignoreCase = true;
                     break;
 
-                case '--latest':
-                    options.latest = true;
+                case '-C':
+                case '--context':
+                    i++;
+                    const context = i < args.length ? Number(args[i]) : NaN;
+                    if (!Number.isInteger(context) || context < 0) {
+                        console.error(`Error: --context requires a non-negative number of lines`);
+                        console.error(`Example: --context 3`);
+                        process.exit(1);
+                    }
+                    options.searchContext = context;
                     break;
 
                 default:
@@ -1513,9 +7463,96 @@ class CLI {
             }
         }
 
+        if (options.leaf && options.allBranches) {
+            console.error('Error: --leaf and --all-branches can\'t be combined');
+            process.exit(1);
+        }
+        if (options.apiRequest && options.exportFormat !== 'anthropic') {
+            console.error(`Error: --api-request builds Anthropic requests and can't be combined with --export ${options.exportFormat}`);
+            process.exit(1);
+        }
+        if (options.thinkingField && !['openai', 'sharegpt'].includes(options.exportFormat)) {
+            console.error('Error: --thinking-field requires --export openai or --export sharegpt');
+            process.exit(1);
+        }
+        if (options.textField !== DEFAULT_OPTIONS.textField && options.exportFormat !== 'sharegpt') {
+            console.error('Error: --text-field requires --export sharegpt');
+            process.exit(1);
+        }
+
+        // "search <pattern> [session-refs...]" mode
+        if (inputs[0] === 'search') {
+            if (inputs.length < 2) {
+                console.error(`Error: search requires a pattern`);
+                console.error(`Example: cc-view-transcript search 'webpack.*config'`);
+                process.exit(1);
+            }
+            options.searchPattern = inputs[1];
+            return { inputs: inputs.slice(2), options };
+        }
+
         return { inputs, options };
     }
 
+    /**
+     * Parse a line/turn selection flag, exiting with an error on invalid values
+     * @param {string} flag - --lines, --around, --turn or --last
+     * @param {string|undefined} value - Flag value
+     * @returns {Object} Selection {kind, label, ...}: lines {from, to}, around {line, context},
+     *                   turns {from, to} or last {count}; line and turn numbers are 1-based and inclusive
+     */
+    static parseSelection(flag, value) {
+        const examples = {
+            '--lines': '--lines 120-300, --lines 450-',
+            '--around': '--around L450, --around L450:20',
+            '--turn': '--turn 5, --turn 5..8, --turn 5..',
+            '--last': '--last 3',
+        };
+        const fail = () => {
+            console.error(`Error: Invalid ${flag} value: "${value ?? ''}"`);
+            console.error(`Example: ${examples[flag]}`);
+            process.exit(1);
+        };
+
+        const input = String(value ?? '').trim();
+        const label = `${flag} ${input}`;
+
+        // Ranges accept "a-b" or "a..b" with optional L prefixes and open ends
+        const parseRange = () => {
+            const single = input.match(/^L?(\d+)$/i);
+            const range = input.match(/^L?(\d*)(?:-|\.\.)L?(\d*)$/i);
+            if (single) {
+                return { from: Number(single[1]), to: Number(single[1]) };
+            }
+            if (range && (range[1] || range[2])) {
+                return { from: range[1] ? Number(range[1]) : 1, to: range[2] ? Number(range[2]) : Infinity };
+            }
+            return null;
+        };
+
+        switch (flag) {
+            case '--lines':
+            case '--turn': {
+                const range = parseRange();
+                if (!range || range.from < 1 || range.to < range.from) fail();
+                return { kind: flag === '--lines' ? 'lines' : 'turns', label, ...range };
+            }
+
+            case '--around': {
+                const match = input.match(/^L?(\d+)(?::(\d+))?$/i);
+                if (!match || Number(match[1]) < 1) fail();
+                return { kind: 'around', label, line: Number(match[1]), context: match[2] ? Number(match[2]) : 10 };
+            }
+
+            case '--last': {
+                const count = Number(input);
+                if (!Number.isInteger(count) || count < 1) fail();
+                return { kind: 'last', label, count };
+            }
+        }
+        return null;
+    }
+
     static showUsage() {
         console.log('Usage: cc-view-transcript <session-refs...> [options]');
     }
@@ -1526,6 +7563,8 @@ cc-view-transcript - View Claude Code session transcripts
 
 USAGE:
     cc-view-transcript <session-refs...> [options]
+    cc-view-transcript search <pattern> [session-refs...] [options]
+    cc-view-transcript --list [session-refs...] [--json]
 
 ARGUMENTS:
     <session-refs...>    One or more session references:
@@ -1542,9 +7581,82 @@ OPTIONS:
     --max-length <n>     Maximum length for truncated content (default: 500)
     --no-system          Hide system messages (fully suppressed)
     --no-timestamps      Hide timestamps from message headers
+    --no-group           Print each streamed assistant record separately
+                         (default: one turn header per API response)
+    --no-usage           Hide per-turn token usage
+    --cost               Show cost estimates (per turn and session total)
+    --pricing <file>     Override the built-in pricing table (JSON, USD per MTok); implies --cost
+    --no-branches        Hide resume/compaction/clear/rewind banners
+    -v, --verbose        Show record-level metadata under each block header
+                         (uuid, parentUuid, requestId, version, gitBranch, cwd, hook fields, ...)
+    --raw-tools          Show tool inputs/results as raw JSON (no tool-aware rendering)
+    --expand-agents      Render sub-agent transcripts inline under their Task calls
+    --tool <names>       Only show tool calls/results of these tools (comma-separated, e.g. Bash,Edit)
+    --errors-only        Only show failing tool calls and their error results
+    --only <types>       Only show these block types (comma-separated): human, text, thinking,
+                         tool_call, tool_result, system, summary, image, snapshot, queue_operation
+    --lines <a-b>        Only show JSONL lines a to b (e.g. 120-300, 450-)
+    --around <Ln[:N]>    Only show N lines (default: 10) either side of line n (e.g. L450, L450:20)
+    --turn <a..b>        Only show Claude turns a to b, each up to the next turn (e.g. 5, 5..8)
+    --last <n>           Only show the last n Claude turns
+    --since <time>       Only records (and listed sessions) at or after <time>
+    --until <time>       Only records (and listed sessions) at or before <time>; a date, minute
+                         or second extends to its end ("14:00" includes 14:00:59)
+                         <time>: 2h, 30m, 3d, 1w, today, yesterday, 2025-12-29,
+                         "2025-12-29 14:00" (local) or an ISO timestamp
     --exclude-agents     Exclude agent sessions from listings
+    --projects-dir <dir> Look for sessions under <dir> instead of ~/.claude/projects
+                         (repeat for several roots, e.g. transcripts copied from CI)
     --latest             Auto-select most recent session for ambiguous matches
+    -f, --follow         Keep rendering the session as it grows (like tail -f; Ctrl-C to stop)
+                         With --latest, switches to a newer session in the same project
+    --format <fmt>       Output format: terminal (default), markdown or html
+    --html               Shorthand for --format html (self-contained HTML page)
+    --compact            One line per block, tool calls summarized with their result
+    --minimal            Show only the human/Claude dialogue
+    --color=<mode>       Colorize terminal output: auto (default), always, never
+                         auto colors a TTY unless NO_COLOR is set
+    --no-color           Shorthand for --color=never
     --api-json           Output as Anthropic API messages JSON (for API continuation)
+    --validate           Check the --api-json export for problems the API rejects (unanswered
+                         tool calls, orphaned tool results, empty content, unsigned thinking, ...)
+                         and list them with their line numbers; exit status 1 if any are found
+    --repair             Fix those problems in the --api-json / --api-request output
+                         (each fix is reported on stderr; always done for --export openai/sharegpt)
+    --export <format>    Export format for --api-json: anthropic (default), openai (Chat
+                         Completions messages with tool_calls and role "tool" results) or
+                         sharegpt (conversations dataset with function_call/observation turns)
+    --thinking-field <name>  With --export openai/sharegpt: keep thinking text in this field of
+                         assistant entries (e.g. reasoning_content); dropped by default
+    --text-field <name>  With --export sharegpt: field of function_call/observation entries for
+                         the text next to the tool calls/results (default: text). Loaders that
+                         only read "value" still lose it; the final user turn is always dropped
+    --compare-request <file>  Compare the --api-json export with a captured real request body
+                         (block by block: runtime system-reminder injections, missing, extra
+                         and changed blocks, merge differences); exit status 1 on drift
+    --api-request        Output a complete Messages API request body (model, max_tokens, tools,
+                         thinking, messages) ready to POST; implied by the options below
+    --system-prompt-file <file>  System prompt for --api-request (text, or JSON string/blocks)
+    --tools-file <file>  Tool definitions for --api-request (JSON array or {"tools": [...]});
+                         default: rebuilt from the tool calls in the transcript
+    --max-tokens <n>     max_tokens for --api-request (default: 32000)
+    --thinking-budget <n> Thinking budget for --api-request (default: half of max_tokens, at
+                         least 1024, if the transcript has thinking blocks; 0 disables)
+    --tree               Print the conversation's branch structure (rewinds, forks) with line numbers
+    --leaf <ref>         Show/export the branch ending in this record: uuid, uuid prefix or L<n>
+                         (default: the active branch, ending in the last conversation record)
+    --all-branches       Show/export every record in file order, abandoned branches included
+                         (--lines and --around always do, unless --leaf is given)
+    --list               List sessions (all, or those the refs match): first prompt, title,
+                         message/tool counts, branch, model, start, duration and project path
+    --json               With --list: print the listing as JSON for scripts
+    --reindex            Rebuild the session index cache (alone: re-read every session for
+                         agent parents, start times and --list details, then exit)
+
+SEARCH OPTIONS:
+    -i, --ignore-case    Case-insensitive pattern
+    -C, --context <n>    Lines of context around each match (default: 2)
+                         --no-thinking, --no-tools and --no-system skip those blocks
 
 EXAMPLES:
     cc-view-transcript abc123              # Shortened UUID (prefix match)
@@ -1553,13 +7665,40 @@ EXAMPLES:
     cc-view-transcript /path/to/project    # Sessions for specific project
     cc-view-transcript abc def ghi         # Multiple sessions
     cc-view-transcript . --latest          # Most recent session in current dir
+    cc-view-transcript . --latest --follow # Live view of the current project's session
     cc-view-transcript abc --exclude-agents # Hide agent sessions
+    cc-view-transcript abc --compact       # Skim a long session
+    cc-view-transcript abc --errors-only   # Failed tool calls only
+    cc-view-transcript abc --around L450   # Jump to a line printed by the viewer or search
+    cc-view-transcript abc --last 3        # The last three Claude turns
+    cc-view-transcript abc --since "2025-12-29 14:00" --until "2025-12-29 16:00"
+    cc-view-transcript . --since yesterday # List sessions active since yesterday
+    cc-view-transcript abc --format markdown > session.md
+    cc-view-transcript abc --html > session.html
+    cc-view-transcript abc --api-request --system-prompt-file prompt.md > request.json
+    cc-view-transcript abc --validate      # Would the API accept the export?
+    cc-view-transcript abc --export openai > conversation.json
+    cc-view-transcript comparison/abc.jsonl --compare-request comparison/abc_real_claude_code_request.json
+    cc-view-transcript abc --api-json --repair > conversation.json
+    cc-view-transcript abc --tree          # Where was the session rewound?
+    cc-view-transcript abc --leaf 6b107e65 # An abandoned branch, as printed by --tree
+    cc-view-transcript search 'webpack' -i # Search all sessions
+    cc-view-transcript search 'TODO' .     # Search sessions of the current project
+    cc-view-transcript --list --since 1w   # Sessions active in the last week
+    cc-view-transcript --list . --json     # Current project's sessions as JSON
 
 NOTES:
     - By default, shows all content including thinking, tools, system messages, and metadata
     - Prefix matching finds sessions starting with the given ID
-    - Multiple matches show a candidate list (use --latest to auto-pick)
+    - Multiple matches open an interactive picker on a terminal (arrows, type to filter,
+      →/← agents, Enter to open) and print a candidate list otherwise (use --latest to auto-pick)
     - Agent sessions are included by default (use --exclude-agents to hide)
+    - Sessions are looked up in ~/.claude/projects ($CLAUDE_CONFIG_DIR/projects if set),
+      or in the --projects-dir roots; agents in <session-id>/subagents/ folders are found too
+    - search scans every session in the project roots unless session refs are given;
+      <pattern> is a JavaScript regular expression
+    - Agent parent IDs, session start times and --list details are cached in
+      ~/.cache/cc-view-transcript/index.json (or $XDG_CACHE_HOME) and refreshed when a file changes
 `;
         console.log(help);
     }
@@ -1570,15 +7709,241 @@ NOTES:
 // MAIN ENTRY POINT
 // ================================================================================
 
+/**
+ * Gather the sessions a search or listing covers
+ * Without session refs that's every session (narrowed by --since/--until); ambiguous refs
+ * (e.g. a project directory) contribute all their candidates
+ * @param {Array<string>} inputs - Session references
+ * @param {SessionResolver} resolver - Resolver configured from the CLI options
+ * @returns {Promise<{sessions: Array, hasErrors: boolean}>} Unique sessions, oldest first
+ */
+async function collectSessions(inputs, resolver) {
+    let sessions = [];
+    let hasErrors = false;
+
+    if (inputs.length === 0) {
+        try {
+            sessions = await resolver.filterByTime(await resolver.scanSessions());
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    for (const input of inputs) {
+        const result = await resolver.resolve(input);
+
+        switch (result.type) {
+            case RESOLVE_TYPE.FILE: {
+                const stats = await fs.promises.stat(result.path);
+                sessions.push({
+                    path: result.path,
+                    sessionId: path.basename(result.path, '.jsonl'),
+                    projectDir: path.basename(path.dirname(result.path)),
+                    modified: stats.mtime,
+                    size: stats.size,
+                });
+                break;
+            }
+
+            case RESOLVE_TYPE.MATCH:
+                sessions.push(result.session);
+                break;
+
+            case RESOLVE_TYPE.CANDIDATES:
+                sessions.push(...result.candidates);
+                break;
+
+            case RESOLVE_TYPE.NOT_FOUND:
+                console.error(`No session found: ${input}${result.reason ? ` (${result.reason})` : ''}`);
+                hasErrors = true;
+                break;
+
+            case RESOLVE_TYPE.ERROR:
+                console.error(`Error resolving "${input}": ${result.error}`);
+                hasErrors = true;
+                break;
+        }
+    }
+
+    // Deduplicate, then order oldest first so the newest end up at the bottom
+    const unique = [...new Map(sessions.map(session => [session.path, session])).values()];
+    unique.sort((a, b) => (a.modified || 0) - (b.modified || 0));
+
+    return { sessions: unique, hasErrors };
+}
+
+/**
+ * Run --list and print the session overview (table or --json)
+ * @param {Array<string>} inputs - Session references limiting the listing (all sessions if empty)
+ * @param {Object} options - Parsed CLI options (json, includeAgents, since, until, ...)
+ * @returns {Promise<void>} Resolves when the listing is printed (exits 1 on unresolved refs)
+ */
+async function listMain(inputs, options) {
+    // A listing never auto-picks: "--list ." shows every session of the project
+    const resolver = new SessionResolver({ ...options, latest: false });
+    const { sessions, hasErrors } = await collectSessions(inputs, resolver);
+    const entries = await SessionLister.collect(sessions, resolver.index);
+
+    if (options.json) {
+        console.log(SessionLister.toJson(entries));
+    } else {
+        console.log(SessionLister.format(entries));
+    }
+
+    if (hasErrors) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Run "search <pattern> [session-refs...]" and print the hits
+ * @param {Array<string>} inputs - Session references limiting the search (all sessions if empty)
+ * @param {Object} options - Parsed CLI options (searchPattern, ignoreCase, searchContext, ...)
+ * @returns {Promise<void>} Resolves when all sessions are searched (exits 1 if nothing matched)
+ */
+async function searchMain(inputs, options) {
+    let pattern;
+    try {
+        pattern = new RegExp(options.searchPattern, options.ignoreCase ? 'i' : '');
+    } catch (error) {
+        console.error(`Error: Invalid search pattern: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { sessions, hasErrors } = await collectSessions(inputs, new SessionResolver(options));
+
+    const searcher = new TranscriptSearcher(pattern, options);
+    let hitCount = 0;
+    let sessionCount = 0;
+
+    for (const session of sessions) {
+        try {
+            const hits = await searcher.searchFile(session);
+            for (const hit of hits) {
+                console.log(searcher.formatHit(hit));
+            }
+            hitCount += hits.length;
+            sessionCount += hits.length > 0 ? 1 : 0;
+        } catch (error) {
+            console.error(`Warning: Cannot search ${session.path}: ${error.message}`);
+        }
+    }
+
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    console.log(`${count(hitCount, 'match', 'matches')} in ${count(sessionCount, 'session', 'sessions')} ` +
+        `(${count(sessions.length, 'session', 'sessions')} searched)`);
+
+    if (hitCount === 0 || hasErrors) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Follow one session as it grows (--follow), switching to newer sessions with --latest
+ * @param {string} input - The session reference (re-resolved with --latest to find newer sessions)
+ * @param {string} filePath - Resolved path of the session to follow first
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<void>} Resolves after Ctrl-C
+ */
+async function followMain(input, filePath, options) {
+    let stopped = false;
+    process.once('SIGINT', () => {
+        stopped = true;
+    });
+
+    // Only main sessions are switch targets: a running sub-agent writes its own, newer file
+    const switchResolver = new SessionResolver({ ...options, includeAgents: false, latest: true });
+    const followed = new Set([filePath]);
+    let lastSwitchCheck = Date.now();
+
+    const findNewerSession = async () => {
+        if (!options.latest || Date.now() - lastSwitchCheck < FOLLOW.switchCheckInterval) {
+            return null;
+        }
+        lastSwitchCheck = Date.now();
+
+        const result = await switchResolver.resolve(input);
+        // Never switch back to a session already shown (it may still be touched by Claude Code)
+        if (result.type === RESOLVE_TYPE.MATCH && !followed.has(result.path)) {
+            followed.add(result.path);
+            return result.path;
+        }
+        return null;
+    };
+
+    const documentFormatter = createFormatter(options);
+    const documentStart = documentFormatter.formatDocumentStart();
+    if (documentStart) {
+        console.log(documentStart);
+    }
+
+    let sessionIndex = 0;
+    let current = filePath;
+    while (current) {
+        const processor = new TranscriptProcessor({ ...options, sessionIndex: sessionIndex++ });
+        current = await processor.follow(current, {
+            isStopped: () => stopped,
+            findNewerSession,
+        });
+    }
+
+    const documentEnd = documentFormatter.formatDocumentEnd();
+    if (documentEnd) {
+        console.log(documentEnd);
+    }
+}
+
 async function main() {
     const { inputs, options } = CLI.parseArgs(process.argv);
 
+    if (options.searchPattern !== undefined) {
+        await searchMain(inputs, options);
+        return;
+    }
+
+    if (options.list) {
+        await listMain(inputs, options);
+        return;
+    }
+
+    if (options.json) {
+        console.error('Error: --json is only supported with --list (use --api-json for API messages)');
+        process.exit(1);
+    }
+
+    // Bare --reindex: rebuild every cached fact (agent parents, start times, --list details) and stop
+    if (options.reindex && inputs.length === 0) {
+        const resolver = new SessionResolver({ ...options, includeAgents: true });
+        try {
+            const sessions = await resolver.scanSessions();
+            await mapWithConcurrency(sessions, SESSION_INDEX.scanConcurrency, session => resolver.getIndexedStart(session));
+            // Saves the index with everything above
+            const entries = await SessionLister.collect(sessions, resolver.index);
+            console.log(`Indexed ${entries.length} of ${sessions.length} session files in ${resolver.index.filePath}`);
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
     // Handle no inputs
     if (inputs.length === 0) {
         CLI.showHelp();
         process.exit(0);
     }
 
+    // Load pricing overrides for cost estimates
+    if (options.pricingFile) {
+        try {
+            options.pricing = await TokenUsage.loadPricing(options.pricingFile);
+        } catch (error) {
+            console.error(`Error loading pricing file ${options.pricingFile}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
     // Create resolver with options
     const resolver = new SessionResolver(options);
     const toProcess = [];
@@ -1594,14 +7959,32 @@ async function main() {
                 toProcess.push(result.path);
                 break;
 
-            case RESOLVE_TYPE.CANDIDATES:
+            case RESOLVE_TYPE.CANDIDATES: {
+                // On a terminal, let the user pick; otherwise print the table (scripts, pipes)
+                if (SessionPicker.isAvailable()) {
+                    const entries = await SessionLister.collect(result.candidates, resolver.index);
+                    const picker = new SessionPicker(entries, {
+                        title: `Multiple sessions match "${input}"`,
+                        theme: new ColorTheme(ColorTheme.isEnabled(options.color)),
+                    });
+                    const picked = await picker.pick();
+                    if (picked) {
+                        toProcess.push(picked.path);
+                    } else {
+                        console.error(`No session picked for "${input}"`);
+                        hasErrors = true;
+                    }
+                    break;
+                }
+
                 console.error(`\nMultiple sessions match "${input}":\n`);
                 console.error(SessionResolver.formatCandidates(result.candidates));
                 hasErrors = true;
                 break;
+            }
 
             case RESOLVE_TYPE.NOT_FOUND:
-                console.error(`No session found: ${input}`);
+                console.error(`No session found: ${input}${result.reason ? ` (${result.reason})` : ''}`);
                 hasErrors = true;
                 break;
 
@@ -1623,10 +8006,84 @@ async function main() {
     // Deduplicate resolved paths (in case multiple inputs resolve to same file)
     const uniquePaths = [...new Set(toProcess)];
 
+    if (options.compareRequest) {
+        if (uniquePaths.length > 1 || options.follow || options.apiJson || options.showTree) {
+            console.error('Error: --compare-request takes a single session and can\'t be combined with --follow, --tree or the API export options');
+            process.exit(1);
+        }
+        try {
+            const requested = await RequestComparator.loadRequest(options.compareRequest);
+            const result = await new ApiExporter(options).extract(uniquePaths[0]);
+            const comparison = RequestComparator.compare(result.messages, result.sources, requested);
+            const theme = new ColorTheme(ColorTheme.isEnabled(options.color));
+            console.log(`\n${theme.paint('heading', `=== Request comparison: ${uniquePaths[0]} ↔ ${options.compareRequest} ===`)}\n`);
+            console.log(RequestComparator.format(comparison, theme));
+            process.exit(RequestComparator.countDrift(comparison) > 0 ? 1 : 0);
+        } catch (error) {
+            console.error(`Error comparing with ${options.compareRequest}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.showTree) {
+        if (options.follow || options.apiJson) {
+            console.error('Error: --tree can\'t be combined with --follow or --api-json');
+            process.exit(1);
+        }
+        const theme = new ColorTheme(ColorTheme.isEnabled(options.color));
+        for (const filePath of uniquePaths) {
+            try {
+                const tree = await ConversationTree.build(filePath);
+                const leafUuid = options.leaf ? tree.findNode(options.leaf).uuid : null;
+                console.log(`\n${theme.paint('heading', `=== Conversation tree: ${filePath} ===`)}\n`);
+                console.log(tree.format(leafUuid, theme));
+            } catch (error) {
+                console.error(`Error reading tree of ${filePath}: ${error.message}`);
+                hasErrors = true;
+            }
+        }
+        if (hasErrors) {
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (options.follow) {
+        if (uniquePaths.length > 1 || inputs.length > 1 || options.apiJson) {
+            console.error('Error: --follow takes a single session and can\'t be combined with --api-json');
+            process.exit(1);
+        }
+        try {
+            await followMain(inputs[0], uniquePaths[0], options);
+        } catch (error) {
+            console.error(`Error following ${uniquePaths[0]}: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
     // Handle API JSON export mode
     if (options.apiJson) {
-        const exporter = new ApiExporter();
-        const allMessages = [];
+        const exporter = new ApiExporter(options);
+        let allMessages = [];
+        let allSources = [];
+        let model = null;
+
+        // Request files are read first, so a typo fails before the sessions are processed
+        let system = null;
+        let tools = null;
+        try {
+            system = options.systemPromptFile ? await ApiExporter.loadSystemPrompt(options.systemPromptFile) : null;
+        } catch (error) {
+            console.error(`Error loading system prompt ${options.systemPromptFile}: ${error.message}`);
+            process.exit(1);
+        }
+        try {
+            tools = options.toolsFile ? await ApiExporter.loadTools(options.toolsFile) : null;
+        } catch (error) {
+            console.error(`Error loading tools ${options.toolsFile}: ${error.message}`);
+            process.exit(1);
+        }
 
         for (const filePath of uniquePaths) {
             try {
@@ -1638,6 +8095,8 @@ async function main() {
                 }
 
                 allMessages.push(...result.messages);
+                allSources.push(...result.sources);
+                model = result.metadata.model || model;
             } catch (error) {
                 console.error(`Error extracting ${filePath}:`);
                 console.error(error.message);
@@ -1645,16 +8104,80 @@ async function main() {
             }
         }
 
-        // Output clean JSON to stdout
-        console.log(JSON.stringify({ messages: allMessages }, null, 2));
+        // Structural problems the API rejects with a 400
+        // Other formats are always repaired: they pair tool results with calls by id or by order,
+        // so an orphaned result would end up answering the wrong call
+        const withFile = uniquePaths.length > 1;
+        if (options.repair || options.exportFormat !== 'anthropic') {
+            const repaired = ApiValidator.repair(allMessages, allSources);
+            for (const issue of repaired.issues) {
+                console.error(`Repaired ${ApiValidator.formatIssue(issue, { withFile, withFix: true })}`);
+            }
+            allMessages = repaired.messages;
+            allSources = repaired.sources;
+        }
+        const issues = ApiValidator.validate(allMessages, allSources);
+
+        if (options.validate) {
+            for (const issue of issues) {
+                console.log(ApiValidator.formatIssue(issue, { withFile }));
+            }
+            console.log(issues.length > 0
+                ? `${issues.length} problem${issues.length === 1 ? '' : 's'} in ${allMessages.length} messages (--repair fixes them)`
+                : `No problems found in ${allMessages.length} messages`);
+            process.exit(issues.length > 0 || hasErrors ? 1 : 0);
+        }
+        if (issues.length > 0) {
+            console.error(`Warning: ${issues.length} problem${issues.length === 1 ? '' : 's'} the API will reject, ` +
+                `first: ${ApiValidator.formatIssue(issues[0], { withFile })}`);
+            console.error('Run with --validate to list them or --repair to fix them.');
+        }
+
+        if (options.exportFormat !== 'anthropic') {
+            const converter = new ChatFormatConverter(options);
+            const output = options.exportFormat === 'openai'
+                ? { messages: converter.toOpenAI(allMessages) }
+                : [{ conversations: converter.toShareGPT(allMessages) }];  // A one-record dataset
+            for (const [what, count] of converter.dropped) {
+                console.error(`Warning: ${what} have no ${options.exportFormat} equivalent and were left out (${count})`);
+            }
+            console.log(JSON.stringify(output, null, 2));
+            return;
+        }
+
+        if (!options.apiRequest) {
+            // Output clean JSON to stdout
+            console.log(JSON.stringify({ messages: allMessages }, null, 2));
+            return;
+        }
+
+        try {
+            const request = ApiExporter.buildRequest(allMessages, {
+                model,
+                tools,
+                system,
+                maxTokens: options.maxTokens,
+                thinkingBudget: options.thinkingBudget,
+            });
+            console.log(JSON.stringify(request, null, 2));
+        } catch (error) {
+            console.error(`Error building API request: ${error.message}`);
+            process.exit(1);
+        }
         return;
     }
 
+    // Document-level wrapper (e.g. HTML page) around all sessions
+    const documentFormatter = createFormatter(options);
+    const documentStart = documentFormatter.formatDocumentStart();
+    if (documentStart) {
+        console.log(documentStart);
+    }
+
     // Process all resolved sessions (display mode)
-    for (const filePath of uniquePaths) {
+    for (const [sessionIndex, filePath] of uniquePaths.entries()) {
         try {
-            console.log(`\n=== Parsing: ${filePath} ===\n`);
-            const processor = new TranscriptProcessor(options);
+            const processor = new TranscriptProcessor({ ...options, sessionIndex });
             await processor.process(filePath);
         } catch (error) {
             console.error(`Error processing ${filePath}:`);
@@ -1667,6 +8190,11 @@ async function main() {
         }
     }
 
+    const documentEnd = documentFormatter.formatDocumentEnd();
+    if (documentEnd) {
+        console.log(documentEnd);
+    }
+
     if (hasErrors) {
         process.exit(1);
     }
@@ -1682,12 +8210,34 @@ if (require.main === module) {
 
 // Export for use as library
 module.exports = {
+    ColorTheme,
+    TokenUsage,
     MessageParser,
+    ToolRenderer,
     MessageFormatter,
+    CompactFormatter,
+    MarkdownFormatter,
+    HtmlFormatter,
     MetadataExtractor,
+    SessionIndex,
     SessionResolver,
+    SessionLister,
+    SessionPicker,
+    SubAgentLocator,
+    BranchDetector,
+    ConversationTree,
     TranscriptProcessor,
+    TranscriptSearcher,
     ApiExporter,
+    ApiValidator,
+    RequestComparator,
+    ChatFormatConverter,
     RESOLVE_TYPE,
     DEFAULT_OPTIONS,
+    MODEL_PRICING,
+    createFormatter,
+    parseTimeSpec,
+    isInTimeRange,
+    formatDuration,
+    mapWithConcurrency,
 };
\ No newline at end of file